@@ -1,3 +1,5 @@
+import "./shared.js";
+
 // ---------- Storage helpers ----------
 const storageGet = keys =>
   new Promise(resolve => chrome.storage.local.get(keys, resolve));
@@ -6,9 +8,8 @@ const storageSet = values =>
   new Promise(resolve => chrome.storage.local.set(values, resolve));
 
 const DEFAULT_SERVER = "http://localhost:3000";
-const REQUEST_DELAY_MS = 400;
-
-const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const FALLBACK_ANSWER = "UNABLE TO IDENTIFY, USER INPUT REQUIRED";
+const VERIFY_CONCURRENCY = 3;
 
 const getServerBaseUrl = async () => {
   const { serverBaseUrl } = await storageGet(["serverBaseUrl"]);
@@ -17,6 +18,50 @@ const getServerBaseUrl = async () => {
   return raw.replace(/\/+$/, "");
 };
 
+// ---------- Privacy mode ----------
+// The extension's setting is pushed to the server before each run and also sent with every model
+// request, so a restarted server can't silently fall back to calling the cloud.
+const DEFAULT_PRIVACY_MODE = "redacted-cloud";
+
+const getPrivacyMode = async () => {
+  const { privacyMode = DEFAULT_PRIVACY_MODE } = await storageGet(["privacyMode"]);
+  return privacyMode;
+};
+
+const modelRequestHeaders = async () => ({
+  "Content-Type": "application/json",
+  "X-Privacy-Mode": await getPrivacyMode()
+});
+
+const syncPrivacyMode = async baseUrl => {
+  const privacyMode = await getPrivacyMode();
+  try {
+    const response = await fetch(`${baseUrl}/api/privacy`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ mode: privacyMode })
+    });
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    // Local-only must be confirmed before anything is sent; otherwise the server's own mode applies
+    if (privacyMode === "local-only") {
+      throw new Error(
+        `Could not switch the server to local-only privacy mode (${error.message}), so nothing was sent. Check the server and try again.`
+      );
+    }
+    console.warn(`Unable to set privacy mode "${privacyMode}" on the server: ${error.message}`);
+    return { mode: privacyMode, roles: null };
+  }
+};
+
+// In local-only mode a role counts as blocked unless the server said it runs locally
+const isCloudRoleBlocked = (privacy, role) => {
+  if (privacy.mode !== "local-only") return false;
+  const entry = privacy.roles?.find(candidate => candidate.role === role);
+  return entry?.cloud !== false;
+};
+
 // ---------- Enhanced context preparation ----------
 const getContextBundle = async () => {
   const { documents } = await storageGet(["documents"]);
@@ -30,7 +75,7 @@ const getContextBundle = async () => {
     .filter(doc => doc?.content?.trim?.())
     .forEach((doc, index) => {
       const docName = doc.name || `Document ${index + 1}`;
-      const content = doc.content.trim().slice(0, 6000);
+      const content = doc.content.trim();
       
       console.log(`  - ${docName}: ${content.length} chars`);
       
@@ -39,118 +84,653 @@ const getContextBundle = async () => {
       );
     });
 
+  // No truncation here: the server chunks the documents and retrieves the relevant parts per field
   const fullContext = parts.join("\n\n");
   console.log(`Total context length: ${fullContext.length} characters`);
   
-  return fullContext.slice(0, 16000);
+  return fullContext;
 };
 
-// ---------- Enhanced question construction ----------
-const buildFieldQuestion = (field) => {
-  const parts = [];
+const getDocumentsSignature = async () => {
+  const { documents } = await storageGet(["documents"]);
+  return (Array.isArray(documents) ? documents : []).map(doc => doc.id).join("|");
+};
 
-  if (field.questionText) {
-    parts.push(`Question: "${field.questionText}"`);
-  }
+// ---------- Enhanced server requests ----------
+// Earlier answers travel beside the documents, not inside them, so the server never cites them as evidence
+const requestBatchCompletion = async ({ baseUrl, content, fields, earlierAnswers = [] }) => {
+  console.log("\n" + "─".repeat(60));
+  console.log(`Requesting answers for ${fields.length} field(s) in one batch`);
+  console.log("─".repeat(60));
+  fields.forEach(field => {
+    console.log(`  ${field.fieldId}: ${field.questionText || field.label || field.placeholder || "N/A"} (${field.type || "N/A"})`);
+  });
+  console.log("─".repeat(60) + "\n");
 
-  if (field.label && field.label !== field.questionText) {
-    parts.push(`Field Label: "${field.label}"`);
-  }
+  const response = await fetch(`${baseUrl}/api/ask-batch`, {
+    method: "POST",
+    headers: await modelRequestHeaders(),
+    // What the page already holds stays local
+    body: JSON.stringify({
+      content,
+      fields: fields.map(({ currentValue, userEdited, ...field }) => field),
+      earlierAnswers: earlierAnswers.map(({ question, value }) => ({ question, value }))
+    })
+  });
 
-  if (field.placeholder) {
-    parts.push(`Placeholder: "${field.placeholder}"`);
+  if (!response.ok) {
+    const errPayload = await response.json().catch(() => ({}));
+    console.error("Server error for batch request:", errPayload.error);
+    throw new Error(errPayload.error || `Server returned ${response.status}`);
   }
 
-  if (field.formContext) {
-    parts.push(`Form: "${field.formContext}"`);
-  }
+  const data = await response.json();
+  return {
+    answers: data.answers && typeof data.answers === "object" ? data.answers : {},
+    provenance: data.provenance && typeof data.provenance === "object" ? data.provenance : {}
+  };
+};
+
+// ---------- Applicant profile ----------
+// Standard fields are filled straight from the cached profile. Patterns must match the whole
+// label, aria-label or name (as lowercase words), so "Hotel", "Cell biology" or a sentence that
+// merely mentions email never pick up a profile value.
+const PROFILE_FIELD_PATTERNS = [
+  ["email", /^(?:(?:your|primary|personal|applicant) )?e ?mail(?: address)?$/],
+  ["linkedin", /^(?:your )?linked ?in(?: (?:profile|url|profile url))?$/],
+  ["website", /^(?:your |personal )?(?:website|portfolio|personal (?:site|url))(?: url| link)?$/],
+  ["phone", /^(?:(?:your|primary|home|mobile|cell) )?(?:phone|mobile|cell|cell ?phone|tel|telephone)(?: number| no)?$/],
+  ["firstName", /^(?:legal )?(?:first|given) name$|^forename$/],
+  ["middleName", /^middle (?:name|initial)$/],
+  ["lastName", /^(?:legal )?(?:last|family) name$|^surname$/],
+  ["fullName", /^(?:your |full |legal |full legal )?name$|^(?:applicant|student|candidate)(?:'s)? (?:full )?name$/],
+  ["dateOfBirth", /^(?:date of birth|birth ?date|birthday|dob)$/],
+  ["addressLine2", /^(?:address(?: line)? ?2|apt|apartment|suite|unit)(?: (?:apt|apartment|suite|unit|number|no))*$/],
+  ["addressLine1", /^(?:(?:home|mailing|street|current|permanent) )?address(?: line ?1)?$|^street(?: address)?$/],
+  ["city", /^(?:city|town)(?: (?:city|town))?$/],
+  ["postalCode", /^(?:zip|postal|post ?code)(?: code)?(?: (?:zip|postal|post ?code)(?: code)?)?$/],
+  ["state", /^(?:state|province)(?: (?:state|province|region))?$/],
+  ["country", /^country(?: of residence)?$/],
+  ["gpa", /^(?:cumulative |overall )?(?:gpa|grade point average)$/],
+  ["graduationDate", /^(?:expected |anticipated )?(?:graduation|grad)(?: date| year)?$/],
+  ["degree", /^(?:highest )?degree(?: type| level| earned)?$/],
+  ["major", /^(?:major|field of study|area of study|concentration)$/],
+  ["school", /^(?:(?:current|name of) )?(?:school|university|college|institution)(?: name| attended)?$/]
+];
+
+// "Email Address *" -> "email address", "firstName" and "first_name" -> "first name"
+const toProfileWords = text =>
+  String(text || "")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .replace(/[^a-z0-9']+/g, " ")
+    .trim();
+
+// Semantic types tagged by the content script's classifier (autocomplete tokens and name patterns)
+const SEMANTIC_PROFILE_KEYS = {
+  name: "fullName",
+  "given-name": "firstName",
+  "additional-name": "middleName",
+  "family-name": "lastName",
+  email: "email",
+  tel: "phone",
+  "street-address": "addressLine1",
+  "address-line1": "addressLine1",
+  "address-line2": "addressLine2",
+  "address-level2": "city",
+  "address-level1": "state",
+  "postal-code": "postalCode",
+  "country-name": "country",
+  bday: "dateOfBirth",
+  linkedin: "linkedin",
+  url: "website"
+};
 
-  if (field.type) {
-    parts.push(`Type: ${field.type}`);
+// Placeholders ("e.g. name@example.com") and question text describe the answer rather than
+// name the field, so only the label, aria-label and name are matched. A field about a reference,
+// emergency contact or manager is never the applicant's, whatever its type says.
+const matchProfileKey = field => {
+  if (namesAnotherPerson(field.label, field.ariaLabel, toProfileWords(field.name), field.questionText)) return null;
+  if (SEMANTIC_PROFILE_KEYS[field.semanticType]) return SEMANTIC_PROFILE_KEYS[field.semanticType];
+
+  const candidates = [field.label, field.ariaLabel, field.name].map(toProfileWords).filter(Boolean);
+
+  for (const text of candidates) {
+    const match = PROFILE_FIELD_PATTERNS.find(([, pattern]) => pattern.test(text));
+    if (match) return match[0];
   }
+  return null;
+};
+
+const getProfileValue = (profile, key) => {
+  const values = profile?.values || {};
+  const value = String(values[key] ?? "").trim();
+  if (value || key !== "fullName") return value;
+  // Documents often list first and last name separately
+  return [values.firstName, values.middleName, values.lastName].filter(Boolean).join(" ").trim();
+};
+
+// Choice fields can only take one of their options; otherwise the model picks one
+const fitsFieldOptions = (field, value) =>
+  !field.options?.length ||
+  field.options.some(option =>
+    [option.label, option.value].some(text => String(text || "").trim().toLowerCase() === value.toLowerCase())
+  );
 
-  if (field.name) {
-    parts.push(`Name: ${field.name}`);
+const requestProfile = async ({ baseUrl, content }) => {
+  const response = await fetch(`${baseUrl}/api/profile`, {
+    method: "POST",
+    headers: await modelRequestHeaders(),
+    body: JSON.stringify({ content })
+  });
+
+  if (!response.ok) {
+    const errPayload = await response.json().catch(() => ({}));
+    throw new Error(errPayload.error || `Server returned ${response.status}`);
   }
 
-  if (field.nearbyText) {
-    parts.push(`Context: "${field.nearbyText}"`);
+  const data = await response.json();
+  return {
+    values: data.profile && typeof data.profile === "object" ? data.profile : {},
+    sources: data.sources && typeof data.sources === "object" ? data.sources : {},
+    fields: Array.isArray(data.fields) ? data.fields : []
+  };
+};
+
+const refreshProfile = async () => {
+  const context = await getContextBundle();
+  if (!context.trim()) {
+    throw new Error("No documents stored. Add documents before extracting a profile.");
   }
 
-  let mainQuestion = "";
+  const baseUrl = await getServerBaseUrl();
+  await syncPrivacyMode(baseUrl);
+  const extracted = await requestProfile({ baseUrl, content: context });
+  const profile = {
+    ...extracted,
+    documentsSignature: await getDocumentsSignature(),
+    extractedAt: Date.now(),
+    edited: false
+  };
 
-  if (field.questionText) {
-    mainQuestion = field.questionText;
-  } else if (field.label) {
-    mainQuestion = field.label;
-  } else if (field.placeholder) {
-    mainQuestion = `value for field with placeholder "${field.placeholder}"`;
-  } else if (field.name) {
-    mainQuestion = `value for field "${field.name}"`;
-  } else {
-    mainQuestion = "value for this field";
+  await storageSet({ profile });
+  return profile;
+};
+
+// Extracted once and cached; re-extracted when the documents change unless the user edited it
+const loadProfile = async () => {
+  const { profile } = await storageGet(["profile"]);
+  const signature = await getDocumentsSignature();
+
+  if (profile?.values && (profile.edited || profile.documentsSignature === signature)) {
+    return profile;
   }
 
-  const fieldMetadata = parts.join("\n");
+  console.log("Extracting applicant profile from documents...");
+  return refreshProfile();
+};
 
-  const question = `${fieldMetadata}
+// ---------- File uploads ----------
+// The options page keeps each document's original bytes under its own key
+const fileStorageKey = id => `documentFile:${id}`;
 
-Extract the specific value that answers: "${mainQuestion}"
+// Resume, transcript and cover-letter inputs get the stored file of that kind that fits accept
+const matchStoredFiles = async fileFields => {
+  const wanted = fileFields.filter(field => field.documentKind);
+  if (!wanted.length) return [];
 
-Rules:
-- Return ONLY the exact value (e.g., a name, number, date, or short phrase)
-- Do NOT return full sentences or explanations
-- Maximum 10 words
-- If the answer is not explicitly in the documents, respond exactly: "UNABLE TO IDENTIFY, USER INPUT REQUIRED"`;
+  const { documents } = await storageGet(["documents"]);
+  const withFiles = (Array.isArray(documents) ? documents : []).filter(doc => doc.hasFile);
+  const stored = await storageGet(withFiles.map(doc => fileStorageKey(doc.id)));
 
-  return question;
+  return wanted.flatMap(field => {
+    const doc = withFiles.find(
+      candidate =>
+        candidate.kind === field.documentKind &&
+        stored[fileStorageKey(candidate.id)] &&
+        matchesAccept(field.accept, stored[fileStorageKey(candidate.id)])
+    );
+
+    if (!doc) {
+      console.log(`📎 ${field.fieldId}: no stored ${field.documentKind} matches accept="${field.accept}"`);
+      return [];
+    }
+
+    const file = stored[fileStorageKey(doc.id)];
+    console.log(`📎 ${field.fieldId}: attaching ${file.name}`);
+    return [{ fieldId: field.fieldId, value: file.name, file, source: { document: doc.name }, grounded: true }];
+  });
 };
 
-// ---------- Enhanced server requests ----------
-const requestCompletion = async ({ baseUrl, content, field }) => {
-  const question = buildFieldQuestion(field);
-  
-  console.log("\n" + "─".repeat(60));
-  console.log(`Processing field: ${field.fieldId}`);
-  console.log("─".repeat(60));
-  console.log("FIELD METADATA:");
-  console.log(`  Question: ${field.questionText || "N/A"}`);
-  console.log(`  Label: ${field.label || "N/A"}`);
-  console.log(`  Type: ${field.type || "N/A"}`);
-  console.log(`  Placeholder: ${field.placeholder || "N/A"}`);
-  console.log("\nQUESTION SENT TO LLM:");
-  console.log(question);
-  console.log("─".repeat(60) + "\n");
+// ---------- Answer verification ----------
+const describeFieldQuestion = field =>
+  field.questionText || field.label || field.placeholder || field.ariaLabel || field.name || field.fieldId;
 
-  const response = await fetch(`${baseUrl}/api/ask`, {
+const requestVerification = async ({ baseUrl, content, question, answer }) => {
+  const response = await fetch(`${baseUrl}/api/verify-answer`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: await modelRequestHeaders(),
     body: JSON.stringify({
       content,
-      question
+      question,
+      answer
     })
   });
 
   if (!response.ok) {
     const errPayload = await response.json().catch(() => ({}));
-    console.error(`Server error for field ${field.fieldId}:`, errPayload.error);
     throw new Error(errPayload.error || `Server returned ${response.status}`);
   }
 
   const data = await response.json();
-  const answer = (data.answer || "").trim();
-  
-  console.log(`📝 ANSWER RECEIVED: "${answer}"`);
-  
-  return answer;
+  return ["CORRECT", "INCORRECT"].includes(data.verdict) ? data.verdict : "UNKNOWN";
 };
 
-// ---------- Autofill workflow ----------
-const runAutofill = async () => {
-  console.log("\n" + "═".repeat(80));
-  console.log("STARTING AUTOFILL PROCESS");
-  console.log("═".repeat(80) + "\n");
-  
+// high: verifier agrees and the value is quoted in a document
+// medium: only one of those holds
+// low: verifier disagrees, or neither holds
+const assessConfidence = ({ verdict, grounded }) => {
+  if (verdict === "INCORRECT") return "low";
+  if (verdict === "CORRECT") return grounded ? "high" : "medium";
+  return grounded ? "medium" : "low";
+};
+
+const mapWithConcurrency = async (items, limit, worker) => {
+  const output = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      output[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return output;
+};
+
+const verifyResults = async ({ baseUrl, content, fields, results }) => {
+  const fieldsById = new Map(fields.map(field => [field.fieldId, field]));
+
+  return mapWithConcurrency(results, VERIFY_CONCURRENCY, async result => {
+    const question = describeFieldQuestion(fieldsById.get(result.fieldId) || {});
+    let verdict = "UNKNOWN";
+
+    try {
+      verdict = await requestVerification({ baseUrl, content, question, answer: result.value });
+    } catch (error) {
+      console.error(`Verification failed for ${result.fieldId}: ${error.message}`);
+    }
+
+    const confidence = assessConfidence({ verdict, grounded: result.grounded });
+    console.log(`🔎 ${result.fieldId}: "${maskSecrets(result.value)}" -> ${verdict} (${confidence} confidence)`);
+    return { ...result, verdict, confidence };
+  });
+};
+
+// ---------- Site access ----------
+// Content scripts are injected on demand, only into origins the user confirmed once.
+// siteAccess maps an origin to "allow" or "deny"; an allowed origin also holds Chrome's host permission.
+const SITE_ACCESS_KEY = "siteAccess";
+const CONTENT_SCRIPT_FILES = ["shared.js", "review-overlay.js", "content-script.js"];
+
+const getOrigin = url => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isWebOrigin = origin => Boolean(origin) && /^https?:/.test(origin);
+const toOriginPattern = origin => `${origin}/*`;
+
+const getSiteAccess = async () => {
+  const { siteAccess } = await storageGet([SITE_ACCESS_KEY]);
+  return siteAccess && typeof siteAccess === "object" ? siteAccess : {};
+};
+
+const setSiteAccess = async (origins, decision) => {
+  const siteAccess = await getSiteAccess();
+  origins.filter(isWebOrigin).forEach(origin => {
+    siteAccess[origin] = decision;
+  });
+  await storageSet({ [SITE_ACCESS_KEY]: siteAccess });
+  if (decision === "deny") {
+    await chrome.permissions.remove({ origins: origins.map(toOriginPattern) }).catch(() => undefined);
+  }
+};
+
+const isOriginAllowed = async (origin, siteAccess) =>
+  siteAccess[origin] === "allow" && chrome.permissions.contains({ origins: [toOriginPattern(origin)] });
+
+// Embedded application forms (an ATS iframe on a company site) have their own origin and need their own consent
+const getTabOrigins = async tabId => {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null);
+  return Array.from(new Set((frames || []).map(frame => getOrigin(frame.url)).filter(isWebOrigin)));
+};
+
+// status is about the top-level site: "allowed", "denied", "new" (never confirmed, or the
+// permission was revoked in Chrome) or "unsupported". pending lists every origin in the tab
+// that still needs the one-time confirmation; denied embedded origins are left out.
+const describeSiteAccess = async tab => {
+  const origin = getOrigin(tab.url);
+  if (!isWebOrigin(origin)) return { origin, status: "unsupported", pending: [] };
+
+  const siteAccess = await getSiteAccess();
+  if (siteAccess[origin] === "deny") return { origin, status: "denied", pending: [] };
+
+  const origins = Array.from(new Set([origin, ...(await getTabOrigins(tab.id))]));
+  const pending = [];
+  for (const candidate of origins) {
+    if (siteAccess[candidate] !== "deny" && !(await isOriginAllowed(candidate, siteAccess))) {
+      pending.push(candidate);
+    }
+  }
+
+  return { origin, status: pending.includes(origin) ? "new" : "allowed", pending };
+};
+
+const requireSiteAccess = async tab => {
+  const { origin, status } = await describeSiteAccess(tab);
+  if (status === "unsupported") throw new Error("Autofill only works on web pages.");
+  if (status === "denied") {
+    throw new Error(`Autofill is blocked on ${origin}. Change this under "Sites" in the settings.`);
+  }
+  if (status === "new") throw new Error(`Allow autofill on ${origin} from the extension popup first.`);
+};
+
+// Ping first so a frame that already has the scripts isn't injected twice
+const injectIntoFrame = async (tabId, frameId) => {
+  const ready = await chrome.tabs
+    .sendMessage(tabId, { type: "ping" }, { frameId })
+    .then(response => Boolean(response?.ready))
+    .catch(() => false);
+  if (ready) return true;
+
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, files: CONTENT_SCRIPT_FILES });
+    return true;
+  } catch (error) {
+    console.log(`Unable to inject into frame ${frameId} of tab ${tabId}: ${error.message}`);
+    return false;
+  }
+};
+
+// Frames from origins that aren't allowed (ads, other sites, about:blank) get nothing
+const ensureContentScripts = async tabId => {
+  const [frames, siteAccess] = await Promise.all([
+    chrome.webNavigation.getAllFrames({ tabId }).catch(() => null),
+    getSiteAccess()
+  ]);
+  const allowed = [];
+  for (const frame of frames || []) {
+    if (await isOriginAllowed(getOrigin(frame.url), siteAccess)) allowed.push(frame.frameId);
+  }
+
+  const injected = await Promise.all(allowed.map(frameId => injectIntoFrame(tabId, frameId)));
+  return injected.filter(Boolean).length;
+};
+
+// The documents that would be sent to the model, for the confirmation shown on a new site
+const getSharedDocumentNames = async () => {
+  const { documents } = await storageGet(["documents"]);
+  return (Array.isArray(documents) ? documents : [])
+    .filter(doc => doc?.content?.trim?.())
+    .map((doc, index) => doc.name || `Document ${index + 1}`);
+};
+
+// ---------- Frames ----------
+// Every frame runs its own content script; field IDs are qualified with the frame
+// they came from ("<frameId>:<fieldId>") so one run can span the whole tab.
+const qualifyFieldId = (frameId, fieldId) => `${frameId}:${fieldId}`;
+
+const splitFieldId = qualifiedId => {
+  const separator = qualifiedId.indexOf(":");
+  return {
+    frameId: Number(qualifiedId.slice(0, separator)),
+    fieldId: qualifiedId.slice(separator + 1)
+  };
+};
+
+const getFrameIds = async tabId => {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    if (frames?.length) return frames.map(frame => frame.frameId).sort((a, b) => a - b);
+  } catch (error) {
+    console.warn("Unable to list frames, using the top frame only:", error.message);
+  }
+  return [0];
+};
+
+// Sensitive fields (passwords, government IDs, bank and card numbers) and fields hidden from the
+// user are dropped in the frame; only their labels come back so the popup can say what was skipped
+const collectFieldsFromFrames = async (tabId, { onlyNew = false } = {}) => {
+  const frameIds = await getFrameIds(tabId);
+  const { sensitiveTerms = [] } = await storageGet(["sensitiveTerms"]);
+  let reachedFrames = 0;
+
+  const perFrame = await Promise.all(
+    frameIds.map(async frameId => {
+      try {
+        const response = await chrome.tabs.sendMessage(
+          tabId,
+          { type: "collect-fields", onlyNew, sensitiveTerms },
+          { frameId }
+        );
+        reachedFrames += 1;
+        return {
+          fields: (Array.isArray(response?.fields) ? response.fields : []).map(field => ({
+            ...field,
+            fieldId: qualifyFieldId(frameId, field.fieldId)
+          })),
+          sensitive: Array.isArray(response?.sensitive) ? response.sensitive : [],
+          hidden: Array.isArray(response?.hidden) ? response.hidden : []
+        };
+      } catch (error) {
+        // about:blank and sandboxed frames have no content script
+        return { fields: [], sensitive: [], hidden: [] };
+      }
+    })
+  );
+
+  if (!reachedFrames) {
+    throw new Error(
+      "Unable to communicate with the page. Ensure the content script is allowed on this site."
+    );
+  }
+
+  const fields = perFrame.flatMap(frame => frame.fields);
+  const sensitive = perFrame.flatMap(frame => frame.sensitive);
+  const hidden = perFrame.flatMap(frame => frame.hidden);
+  console.log(`Collected ${fields.length} fillable fields from ${reachedFrames}/${frameIds.length} frame(s)\n`);
+  sensitive.forEach(({ label, reason }) => {
+    console.log(`🔒 Skipped sensitive field "${label || "unlabelled"}" (${reason})`);
+  });
+  hidden.forEach(({ label, reason }) => {
+    console.warn(`🙈 Skipped hidden field "${label || "unlabelled"}" (${reason})`);
+  });
+  return { fields, sensitive, hidden };
+};
+
+// Strips the frame prefix and buckets items by the frame that owns their field
+const groupByFrame = items => {
+  const byFrame = new Map();
+  items.forEach(item => {
+    const { frameId, fieldId } = splitFieldId(item.fieldId);
+    if (!byFrame.has(frameId)) byFrame.set(frameId, []);
+    byFrame.get(frameId).push({ ...item, fieldId });
+  });
+  return byFrame;
+};
+
+// Resolves to the qualified IDs of fields the page would not take a value for
+const applyToFrames = async (tabId, results, runId) => {
+  const failed = [];
+  for (const [frameId, frameResults] of groupByFrame(results)) {
+    const response = await chrome.tabs.sendMessage(
+      tabId,
+      { type: "apply-autofill", results: frameResults, runId },
+      { frameId }
+    );
+    if (response && !response.success) {
+      throw new Error(response.error || `Autofill failed in frame ${frameId}.`);
+    }
+    (response?.failed || []).forEach(fieldId => failed.push(qualifyFieldId(frameId, fieldId)));
+  }
+  return failed;
+};
+
+// ---------- Review ----------
+// Nothing is written until the user accepts it in the page overlay. The overlay lives in
+// the top frame; highlights, jumps and writes are routed to whichever frame owns the field.
+const pendingReviews = new Map();
+// Runs that wrote something, oldest first, so undo can walk back one run at a time
+const appliedRuns = new Map();
+
+const noteAppliedRun = (tabId, runId) => {
+  const runs = (appliedRuns.get(tabId) || []).filter(existing => existing !== runId);
+  appliedRuns.set(tabId, [...runs, runId]);
+};
+
+const describeSource = result => {
+  if (result.file) return { label: "Stored file", document: result.source?.document || null };
+  if (result.profileKey) return { label: "Your profile", ...(result.source || {}) };
+  return result.source ? { label: "Documents", ...result.source } : null;
+};
+
+const toReviewItem = result => ({
+  fieldId: result.fieldId,
+  question: result.question,
+  value: result.value,
+  source: describeSource(result),
+  confidence: result.confidence || null,
+  verdict: result.verdict || null,
+  isFile: Boolean(result.file),
+  currentValue: result.currentValue || "",
+  confirmOverwrite: Boolean(result.confirmOverwrite),
+  options: result.options || null,
+  multiple: Boolean(result.multiple)
+});
+
+const highlightInFrames = async (tabId, highlights) => {
+  for (const [frameId, frameHighlights] of groupByFrame(highlights)) {
+    await chrome.tabs
+      .sendMessage(tabId, { type: "highlight-fields", highlights: frameHighlights }, { frameId })
+      .catch(() => undefined);
+  }
+};
+
+const presentReview = async (tabId, { runId, suggestions, needsInput }) => {
+  const pending = pendingReviews.get(tabId) || new Map();
+  suggestions.forEach(result => pending.set(result.fieldId, { ...result, runId }));
+  pendingReviews.set(tabId, pending);
+
+  await highlightInFrames(tabId, [
+    ...suggestions.map(result => ({
+      fieldId: result.fieldId,
+      state: result.confidence === "low" || result.confirmOverwrite ? "low" : "pending"
+    })),
+    ...needsInput.map(item => ({ fieldId: item.fieldId, state: "needs-input" }))
+  ]);
+
+  // The overlay merges into an already open review, so follow-mode steps add to it
+  await chrome.tabs.sendMessage(
+    tabId,
+    { type: "show-review", suggestions: suggestions.map(toReviewItem), needsInput },
+    { frameId: 0 }
+  );
+};
+
+const clearHighlight = (tabId, qualifiedId) => {
+  const { frameId, fieldId } = splitFieldId(qualifiedId);
+  return chrome.tabs
+    .sendMessage(tabId, { type: "clear-highlight", fieldIds: [fieldId] }, { frameId })
+    .catch(() => undefined);
+};
+
+// decision is "accept" (with the possibly edited value), "reject", or "done" for a needs-input item
+const resolveReviewItem = async (tabId, { fieldId, decision, value }) => {
+  const pending = pendingReviews.get(tabId);
+  const suggestion = pending?.get(fieldId) || null;
+
+  if (decision === "accept") {
+    const edited = typeof value === "string" ? value.trim() : "";
+    // File payloads only live here; an overlay can edit text answers but not swap files
+    const result = suggestion?.file
+      ? suggestion
+      : { ...(suggestion || { fieldId }), value: edited || suggestion?.value || "" };
+
+    if (!result.value && !result.file) {
+      throw new Error("Enter a value before accepting.");
+    }
+
+    const runId = suggestion?.runId || "review";
+    const failed = await applyToFrames(tabId, [result], runId);
+    noteAppliedRun(tabId, runId);
+    // Stays pending so the user can edit the value and try again
+    if (failed.includes(fieldId)) {
+      throw new Error("The page did not take this value. Edit it or fill the field yourself.");
+    }
+    pending?.delete(fieldId);
+    console.log(`✅ ${fieldId}: accepted "${maskSecrets(result.value)}"${suggestion && result.value !== suggestion.value ? " (edited)" : ""}`);
+    if (suggestion?.question) {
+      await recordAnswers(tabId, [{ question: suggestion.question, value: result.value }]);
+    }
+  } else {
+    pending?.delete(fieldId);
+    console.log(`${decision === "reject" ? "❌" : "☑️"} ${fieldId}: ${decision}`);
+  }
+
+  await clearHighlight(tabId, fieldId);
+};
+
+const focusField = (tabId, qualifiedId) => {
+  const { frameId, fieldId } = splitFieldId(qualifiedId);
+  return chrome.tabs.sendMessage(tabId, { type: "focus-field", fieldId }, { frameId });
+};
+
+const dismissReview = async tabId => {
+  pendingReviews.delete(tabId);
+  await broadcastToFrames(tabId, { type: "clear-highlight", fieldIds: null });
+};
+
+// Frames snapshot fields before writing; undo restores the latest run in every frame.
+// Without a record (the worker restarted) each frame undoes its own latest run.
+const undoLastRun = async tabId => {
+  const runs = appliedRuns.get(tabId) || [];
+  const runId = runs.pop() ?? null;
+  const frameIds = await getFrameIds(tabId);
+
+  const responses = await Promise.all(
+    frameIds.map(frameId =>
+      chrome.tabs.sendMessage(tabId, { type: "restore-snapshots", runId }, { frameId }).catch(() => null)
+    )
+  );
+  const restored = responses.reduce((sum, response) => sum + (response?.restored || 0), 0);
+  const failed = responses.flatMap(response => response?.failed || []);
+  console.log(
+    `↩️ Undid ${runId || "the latest run"} on tab ${tabId}: ${restored} field(s) restored` +
+      (failed.length ? `, ${failed.length} could not be undone` : "")
+  );
+  return { restored, failed };
+};
+
+// A new document in the top frame takes the overlay and its snapshots with it
+chrome.webNavigation.onCommitted.addListener(({ tabId, frameId }) => {
+  if (frameId !== 0) return;
+  pendingReviews.delete(tabId);
+  appliedRuns.delete(tabId);
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  pendingReviews.delete(tabId);
+  appliedRuns.delete(tabId);
+});
+
+const getActiveTab = async () => {
   const [tab] = await chrome.tabs.query({
     active: true,
     currentWindow: true
@@ -160,23 +740,58 @@ const runAutofill = async () => {
     throw new Error("Unable to find the active tab.");
   }
 
+  return tab;
+};
+
+// Fields the user typed into since the last run count as filled even when cleared
+const DEFAULT_FILL_MODE = "empty-only";
+const hasExistingValue = field => Boolean(field.currentValue) || Boolean(field.userEdited);
+
+// ---------- Autofill workflow ----------
+// tabId defaults to the active tab; follow mode passes its own tab, onlyNew and earlier answers
+const runAutofill = async ({ tabId = null, onlyNew = false, earlierAnswers = [] } = {}) => {
+  console.log("\n" + "═".repeat(80));
+  console.log("STARTING AUTOFILL PROCESS");
+  console.log("═".repeat(80) + "\n");
+
+  const tab = tabId === null ? await getActiveTab() : await chrome.tabs.get(tabId);
+  const runId = `run-${Date.now()}`;
+
   console.log(`Active tab: ${tab.title || tab.url}`);
 
-  let fields;
-  try {
-    fields = await chrome.tabs.sendMessage(tab.id, {
-      type: "collect-fields"
-    });
-    console.log(`Collected ${fields.length} fillable fields\n`);
-  } catch (error) {
-    console.error("Failed to collect fields:", error);
+  await requireSiteAccess(tab);
+  await ensureContentScripts(tab.id);
+
+  const { fields: collected, sensitive, hidden } = await collectFieldsFromFrames(tab.id, { onlyNew });
+  const sensitiveSkipped = sensitive.map(field => field.label).filter(Boolean);
+  const hiddenSkipped = hidden.map(({ label, reason }) => ({ label: label || "Unlabelled field", reason }));
+
+  if (!collected.length) {
+    if (hiddenSkipped.length) {
+      throw new Error(
+        `Only hidden fields were found (${hiddenSkipped.map(field => field.label).join(", ")}); they were not filled.`
+      );
+    }
     throw new Error(
-      "Unable to communicate with the page. Ensure the content script is allowed on this site."
+      sensitiveSkipped.length
+        ? `Only sensitive fields were found (${sensitiveSkipped.join(", ")}); these are never filled.`
+        : "No fillable fields detected on this page."
     );
   }
 
-  if (!Array.isArray(fields) || !fields.length) {
-    throw new Error("No fillable fields detected on this page.");
+  // "empty-only" leaves prefilled and user-edited fields alone; "ask" suggests them for confirmation
+  const { fillMode = DEFAULT_FILL_MODE } = await storageGet(["fillMode"]);
+  const kept = fillMode === "empty-only" ? collected.filter(hasExistingValue) : [];
+  const fields = collected.filter(field => !kept.includes(field));
+
+  kept.forEach(field => {
+    console.log(`✋ ${field.fieldId}: kept ${field.userEdited ? "user-edited" : "existing"} value "${maskSecrets(field.currentValue)}"`);
+  });
+
+  if (!fields.length) {
+    throw new Error(
+      "Every detected field already has a value. Choose \"Overwrite\" or \"Ask per field\" in the settings to replace them."
+    );
   }
 
   console.log("DETECTED FIELDS:");
@@ -185,76 +800,260 @@ const runAutofill = async () => {
   });
   console.log("");
 
-  const context = await getContextBundle();
+  const documentsContext = await getContextBundle();
 
-  if (!context.trim()) {
+  if (!documentsContext.trim()) {
     throw new Error(
       "No profile or document data stored. Visit the extension options page to add information first."
     );
   }
 
   const baseUrl = await getServerBaseUrl();
+  const privacy = await syncPrivacyMode(baseUrl);
   const results = [];
   const failures = [];
 
-  for (let index = 0; index < fields.length; index += 1) {
-    const field = fields[index];
-    console.log(`\n[${index + 1}/${fields.length}] Processing...`);
-    
-    try {
-      const suggestion = await requestCompletion({
+  let profile = null;
+  try {
+    profile = await loadProfile();
+  } catch (error) {
+    console.error(`Profile unavailable, asking the model for every field: ${error.message}`);
+  }
+
+  // Upload fields are matched to stored files, never sent to the model
+  const fileResults = await matchStoredFiles(fields.filter(field => field.type === "file"));
+  const answerableFields = fields.filter(field => field.type !== "file");
+
+  const profileResults = [];
+  const remainingFields = [];
+  answerableFields.forEach(field => {
+    const key = matchProfileKey(field);
+    const value = key ? getProfileValue(profile, key) : "";
+
+    if (value && fitsFieldOptions(field, value)) {
+      const source = profile.sources?.[key] ?? null;
+      profileResults.push({ fieldId: field.fieldId, value, source, grounded: Boolean(source), profileKey: key });
+      console.log(`👤 ${field.fieldId}: "${maskSecrets(value)}" from profile (${key}${field.semanticType ? `, ${field.semanticType}` : ""})`);
+    } else {
+      remainingFields.push(field);
+    }
+  });
+
+  const { answers, provenance } = remainingFields.length
+    ? await requestBatchCompletion({
         baseUrl,
-        content: context,
-        field
-      });
+        content: documentsContext,
+        fields: remainingFields,
+        earlierAnswers
+      })
+    : { answers: {}, provenance: {} };
 
-      if (suggestion && suggestion !== "UNABLE TO IDENTIFY, USER INPUT REQUIRED") {
-        results.push({ fieldId: field.fieldId, value: suggestion });
-        console.log(`SUCCESS: Will fill with "${suggestion}"`);
-      } else {
-        failures.push(field.fieldId);
-        console.log(`SKIPPED: No matching data found`);
-      }
-    } catch (error) {
+  remainingFields.forEach((field, index) => {
+    const suggestion = String(answers[field.fieldId] || "").trim();
+    console.log(`\n[${index + 1}/${remainingFields.length}] ${field.fieldId}`);
+    console.log(`📝 ANSWER RECEIVED: "${maskSecrets(suggestion)}"`);
+
+    if (suggestion && suggestion !== FALLBACK_ANSWER) {
+      const { source = null, grounded = false } = provenance[field.fieldId] || {};
+      results.push({ fieldId: field.fieldId, value: suggestion, source, grounded });
+      console.log(`SUCCESS: Will fill with "${maskSecrets(suggestion)}"`);
+      console.log(
+        source
+          ? `SOURCE: ${source.document || "unknown document"}${source.page ? ` p.${source.page}` : ""} [${source.start}-${source.end}] "${maskSecrets(source.quote)}"`
+          : "SOURCE: not found verbatim in documents"
+      );
+    } else {
       failures.push(field.fieldId);
-      console.error(`ERROR: ${error.message}`);
+      console.log(`SKIPPED: No matching data found`);
     }
+  });
 
-    if (index < fields.length - 1) {
-      await sleep(REQUEST_DELAY_MS);
-    }
+  if (!results.length && !profileResults.length && !fileResults.length && !failures.length) {
+    throw new Error("No suggestions returned for the detected fields. Check if your documents contain the required information.");
   }
 
+  // Profile values were reviewed on the options page, so only model answers are verified.
+  // A cloud verifier is skipped outright in local-only mode instead of failing once per field.
+  const { verifyAnswers } = await storageGet(["verifyAnswers"]);
+  const verify = verifyAnswers && !isCloudRoleBlocked(privacy, "verification");
+  if (verifyAnswers && !verify) {
+    console.log("🔒 Verification skipped: the verifier runs in the cloud and local-only privacy mode is on");
+  }
+  const checkedResults = [
+    ...fileResults,
+    ...profileResults,
+    ...(verify ? await verifyResults({ baseUrl, content: documentsContext, fields, results }) : results)
+  ];
+
+  // Suggestions keep page order so the overlay reads top to bottom
+  const fieldsById = new Map(fields.map(field => [field.fieldId, field]));
+  const fieldOrder = new Map(fields.map((field, index) => [field.fieldId, index]));
+  const suggestions = checkedResults
+    .map(result => {
+      const field = fieldsById.get(result.fieldId) || {};
+      return {
+        ...result,
+        question: describeFieldQuestion(field),
+        currentValue: field.currentValue || "",
+        confirmOverwrite: fillMode === "ask" && hasExistingValue(field),
+        // Option fields are edited with a picker so an edited answer still names an option
+        options: field.options?.length ? field.options : null,
+        multiple: Boolean(field.multiple)
+      };
+    })
+    .sort((a, b) => fieldOrder.get(a.fieldId) - fieldOrder.get(b.fieldId));
+  const needsInput = failures.map(fieldId => ({
+    fieldId,
+    question: describeFieldQuestion(fieldsById.get(fieldId) || {})
+  }));
+  const lowConfidence = suggestions.filter(result => result.confidence === "low").length;
+
   console.log("\n" + "═".repeat(80));
   console.log("AUTOFILL SUMMARY");
   console.log("═".repeat(80));
-  console.log(`Total fields: ${fields.length}`);
-  console.log(`Successfully filled: ${results.length}`);
-  console.log(`Skipped/Failed: ${failures.length}`);
+  console.log(`Total fields: ${collected.length}`);
+  console.log(`Kept (already filled): ${kept.length}`);
+  console.log(`Suggested: ${suggestions.length} (${profileResults.length} from profile, ${fileResults.length} file(s))`);
+  console.log(`Low confidence: ${lowConfidence}`);
+  console.log(`Needs input: ${needsInput.length}`);
   console.log("═".repeat(80) + "\n");
 
-  if (!results.length) {
-    throw new Error("No suggestions returned for the detected fields. Check if your documents contain the required information.");
-  }
-
   try {
-    await chrome.tabs.sendMessage(tab.id, {
-      type: "apply-autofill",
-      results
-    });
-    console.log("Autofill applied successfully!\n");
+    await presentReview(tab.id, { runId, suggestions, needsInput });
+    console.log("Suggestions sent to the page for review\n");
   } catch (error) {
-    console.error("Failed to apply autofill:", error);
-    throw new Error("Unable to apply autofill suggestions on this page.");
+    console.error("Failed to show the review overlay:", error);
+    throw new Error("Unable to show autofill suggestions on this page.");
   }
 
   return {
     success: true,
-    filled: results.length,
-    skipped: failures.length
+    suggested: suggestions.length,
+    fromProfile: profileResults.length,
+    attached: fileResults.length,
+    lowConfidence,
+    needsInput: needsInput.length,
+    kept: kept.length,
+    sensitiveSkipped,
+    hiddenSkipped
   };
 };
 
+// ---------- Follow mode ----------
+// While a tab is followed, its content scripts watch for new fields (wizard steps) and
+// ask for another pass. Sessions live in storage.session so they survive worker restarts.
+const FOLLOW_SESSIONS_KEY = "followSessions";
+const followPasses = new Map();
+
+const getFollowSessions = () =>
+  new Promise(resolve =>
+    chrome.storage.session.get([FOLLOW_SESSIONS_KEY], result => resolve(result[FOLLOW_SESSIONS_KEY] || {}))
+  );
+
+const saveFollowSessions = sessions =>
+  new Promise(resolve => chrome.storage.session.set({ [FOLLOW_SESSIONS_KEY]: sessions }, resolve));
+
+const getFollowSession = async tabId => (await getFollowSessions())[tabId] || null;
+
+const broadcastToFrames = async (tabId, message) => {
+  const frameIds = await getFrameIds(tabId);
+  await Promise.all(
+    frameIds.map(frameId => chrome.tabs.sendMessage(tabId, message, { frameId }).catch(() => undefined))
+  );
+};
+
+const recordAnswers = async (tabId, answered = []) => {
+  const sessions = await getFollowSessions();
+  const session = sessions[tabId];
+  if (!session) return;
+
+  // Later answers to the same question replace earlier ones
+  const byQuestion = new Map(session.answers.map(answer => [answer.question, answer]));
+  answered.forEach(answer => byQuestion.set(answer.question, answer));
+  sessions[tabId] = { ...session, answers: Array.from(byQuestion.values()) };
+  await saveFollowSessions(sessions);
+};
+
+const stopFollowing = async (tabId, reason) => {
+  const sessions = await getFollowSessions();
+  if (!sessions[tabId]) return;
+
+  delete sessions[tabId];
+  await saveFollowSessions(sessions);
+  console.log(`Stopped following tab ${tabId}: ${reason}`);
+  await broadcastToFrames(tabId, { type: "follow-stop" }).catch(() => undefined);
+};
+
+// One pass at a time per tab; changes that arrive mid-pass trigger exactly one more
+const runFollowPass = tabId => {
+  const existing = followPasses.get(tabId);
+  if (existing) {
+    existing.pending = true;
+    return existing.running;
+  }
+
+  const state = { pending: false, running: null };
+  state.running = (async () => {
+    let outcome = null;
+    do {
+      state.pending = false;
+      const session = await getFollowSession(tabId);
+      if (!session) break;
+
+      try {
+        // Answers are recorded as the user accepts them in the overlay
+        outcome = await runAutofill({ tabId, onlyNew: true, earlierAnswers: session.answers });
+      } catch (error) {
+        console.log(`Follow pass on tab ${tabId}: ${error.message}`);
+      }
+    } while (state.pending);
+    return outcome;
+  })().finally(() => followPasses.delete(tabId));
+
+  followPasses.set(tabId, state);
+  return state.running;
+};
+
+const startFollowing = async () => {
+  const tab = await getActiveTab();
+  const origin = getOrigin(tab.url);
+  if (!isWebOrigin(origin)) {
+    throw new Error("Follow mode only works on web pages.");
+  }
+  await requireSiteAccess(tab);
+  await ensureContentScripts(tab.id);
+
+  const sessions = await getFollowSessions();
+  sessions[tab.id] = { origin, answers: [], startedAt: Date.now() };
+  await saveFollowSessions(sessions);
+  await broadcastToFrames(tab.id, { type: "follow-start" });
+  console.log(`Following ${origin} in tab ${tab.id}`);
+
+  const outcome = await runFollowPass(tab.id);
+  return outcome || { success: true, suggested: 0, needsInput: 0 };
+};
+
+// Leaving the site ends the session; same-origin navigation (the next wizard page) keeps it
+chrome.webNavigation.onCommitted.addListener(async ({ tabId, frameId, url }) => {
+  if (frameId !== 0) return;
+  const session = await getFollowSession(tabId);
+  if (session && getOrigin(url) !== session.origin) {
+    stopFollowing(tabId, `navigated to ${getOrigin(url) || url}`);
+  }
+});
+
+// Nothing is injected on page load any more, so each page of a followed application gets the
+// scripts here; on load they ask "follow-status" and resume watching for new steps
+chrome.webNavigation.onCompleted.addListener(async ({ tabId, frameId, url }) => {
+  const session = await getFollowSession(tabId);
+  if (!session || !(await isOriginAllowed(getOrigin(url), await getSiteAccess()))) return;
+  await injectIntoFrame(tabId, frameId);
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  stopFollowing(tabId, "tab closed");
+});
+
 // ---------- Message handling ----------
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message?.type === "run-autofill") {
@@ -279,5 +1078,132 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // The popup checks the active site before running and shows the one-time confirmation
+  if (message?.type === "get-site-access") {
+    getActiveTab()
+      .then(async tab => ({ ...(await describeSiteAccess(tab)), documents: await getSharedDocumentNames() }))
+      .then(sendResponse)
+      .catch(error => sendResponse({ status: "unsupported", pending: [], error: error.message }));
+
+    return true;
+  }
+
+  // The popup requests the host permission itself (it needs the click); this records the decision
+  if (message?.type === "set-site-access") {
+    const decision = message.decision === "deny" ? "deny" : "allow";
+    setSiteAccess(Array.isArray(message.origins) ? message.origins : [], decision)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (message?.type === "start-follow") {
+    startFollowing()
+      .then(sendResponse)
+      .catch(error => {
+        console.error("Unable to follow this application:", error);
+        sendResponse({ success: false, error: error.message || "Unable to follow this application." });
+      });
+
+    return true;
+  }
+
+  if (message?.type === "stop-follow") {
+    getActiveTab()
+      .then(tab => stopFollowing(tab.id, "stopped from the popup"))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (message?.type === "get-follow-state") {
+    getActiveTab()
+      .then(tab => getFollowSession(tab.id))
+      .then(session => sendResponse({ following: Boolean(session), origin: session?.origin || null }))
+      .catch(() => sendResponse({ following: false }));
+
+    return true;
+  }
+
+  // Content scripts ask on every page load whether their tab is being followed
+  if (message?.type === "follow-status") {
+    const tabId = sender.tab?.id;
+    getFollowSession(tabId)
+      .then(async session => {
+        if (session && sender.frameId === 0 && getOrigin(sender.url) !== session.origin) {
+          await stopFollowing(tabId, "left the site");
+          return false;
+        }
+        return Boolean(session);
+      })
+      .then(following => sendResponse({ following }))
+      .catch(() => sendResponse({ following: false }));
+
+    return true;
+  }
+
+  if (message?.type === "follow-fields-changed") {
+    const tabId = sender.tab?.id;
+    getFollowSession(tabId).then(session => {
+      if (session) runFollowPass(tabId);
+    });
+    sendResponse({ received: true });
+    return undefined;
+  }
+
+  // Sent by the review overlay in the top frame
+  if (message?.type === "review-decision") {
+    resolveReviewItem(sender.tab?.id, message)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error(`Unable to apply ${message.fieldId}:`, error);
+        sendResponse({ success: false, error: error.message || "Unable to fill this field." });
+      });
+
+    return true;
+  }
+
+  // From the popup (active tab) or the overlay (its own tab)
+  if (message?.type === "undo-autofill") {
+    (sender.tab?.id ? Promise.resolve(sender.tab) : getActiveTab())
+      .then(tab => undoLastRun(tab.id))
+      .then(({ restored, failed }) => sendResponse({ success: true, restored, failed }))
+      .catch(error => {
+        console.error("Undo failed:", error);
+        sendResponse({ success: false, error: error.message || "Unable to undo autofill." });
+      });
+
+    return true;
+  }
+
+  if (message?.type === "review-focus") {
+    focusField(sender.tab?.id, message.fieldId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (message?.type === "review-dismiss") {
+    dismissReview(sender.tab?.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (message?.type === "refresh-profile") {
+    refreshProfile()
+      .then(profile => sendResponse({ success: true, profile }))
+      .catch(error => {
+        console.error("Profile extraction failed:", error);
+        sendResponse({ success: false, error: error.message || "Profile extraction failed." });
+      });
+
+    return true;
+  }
+
   return undefined;
 });
@@ -4,7 +4,6 @@ const SUPPORTED_INPUT_TYPES = new Set([
   "tel",
   "url",
   "search",
-  "password",
   "number",
   "date",
   "datetime-local",
@@ -13,10 +12,53 @@ const SUPPORTED_INPUT_TYPES = new Set([
   "week"
 ]);
 
+const FIELD_SELECTOR =
+  "input, textarea, select, [role='radio'], [role='checkbox'], [role='combobox'], [role='listbox'], [contenteditable]";
+const CHOICE_INPUT_TYPES = new Set(["radio", "checkbox"]);
+const ARIA_CHOICE_ROLES = new Set(["radio", "checkbox"]);
+const CHOICE_CONTAINER_SELECTOR = "[role='radiogroup'], [role='group'], fieldset";
+const LISTBOX_WAIT_MS = 1500;
+const LISTBOX_POLL_MS = 50;
+const FOLLOW_DEBOUNCE_MS = 800;
+const VALUE_SETTLE_MS = 250;
+const KEYSTROKE_DELAY_MS = 15;
+// Boxes smaller than this, or fainter than this opacity, can't be read by the user
+const MIN_VISIBLE_SIZE = 4;
+const MIN_VISIBLE_OPACITY = 0.1;
+// Multi-select answers come back as one string with the chosen options separated by this
+const CHOICE_SEPARATOR = ";";
+
 const fieldRegistry = new Map();
+// fieldId -> the radio/checkbox inputs that make up one logical question
+const choiceRegistry = new Map();
+// Fields already sent to the background; follow mode only asks about the rest
+const seenFieldIds = new Set();
 let fieldCounter = 0;
+let followObserver = null;
+let followTimer = null;
+// Elements the user typed into or changed since the last run; reset on every collection
+let userEditedElements = new WeakSet();
+let applyingAutofill = false;
+// Extra deny-list terms from the options page, sent along with every collect-fields request
+let customSensitiveTerms = [];
+
+// ID references (label[for], aria-labelledby, aria-controls) resolve within the element's own
+// document or shadow root, never across the boundary
+const getRoot = element => element.getRootNode?.() || document;
+
+// querySelectorAll that also descends into open shadow roots, in document order
+const queryAllDeep = (selector, root = document) => {
+  const results = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.matches(selector)) results.push(node);
+    if (node.shadowRoot) results.push(...queryAllDeep(selector, node.shadowRoot));
+  }
+  return results;
+};
 
-const isElementVisible = element => {
+// Laid out at all; display:none steps of a wizard are ordinary, not suspicious
+const isElementRendered = element => {
   const style = window.getComputedStyle(element);
   return (
     style &&
@@ -26,6 +68,38 @@ const isElementVisible = element => {
   );
 };
 
+const hasEmptyClip = style => {
+  const clip = style.clip && style.clip !== "auto" ? style.clip.match(/-?[\d.]+/g)?.map(Number) : null;
+  if (clip?.length === 4) {
+    const [top, right, bottom, left] = clip;
+    if (right - left < MIN_VISIBLE_SIZE || bottom - top < MIN_VISIBLE_SIZE) return true;
+  }
+  return /^(?:inset\(\s*(?:50|100)%|circle\(\s*0(?:px)?\s*(?:at|\)))/.test(style.clipPath || "");
+};
+
+// Why a rendered element still can't be seen, or "" when it can. Forms that harvest data hide
+// extra fields this way so autofill fills them without the user noticing. Only the field's own
+// styles count: carousels, accordions and inactive wizard panels clip or fade whole containers
+// of legitimate fields, which the user brings into view before submitting.
+const getConcealment = element => {
+  const rect = element.getBoundingClientRect();
+  if (rect.width < MIN_VISIBLE_SIZE || rect.height < MIN_VISIBLE_SIZE) return "zero size";
+
+  const style = window.getComputedStyle(element);
+  if (parseFloat(style.opacity) < MIN_VISIBLE_OPACITY) return "transparent";
+  if (hasEmptyClip(style)) return "clipped";
+
+  // Below the fold is fine; left of or above the page, or past its right edge, is unreachable
+  const pageWidth = Math.max(document.documentElement.scrollWidth, window.innerWidth);
+  if (rect.right + window.scrollX <= 0 || rect.bottom + window.scrollY <= 0 || rect.left + window.scrollX >= pageWidth) {
+    return "off-screen";
+  }
+
+  return "";
+};
+
+const isElementVisible = element => isElementRendered(element) && !getConcealment(element);
+
 const collectText = node => {
   if (!node) return "";
   const raw =
@@ -84,7 +158,7 @@ const getAriaLinkedText = (element, attr) =>
   element
     .getAttribute(attr)
     ?.split(/\s+/)
-    .map(id => document.getElementById(id))
+    .map(id => getRoot(element).getElementById(id))
     .filter(Boolean)
     .map(collectText)
     .filter(Boolean)
@@ -107,7 +181,7 @@ const findSiblingLabel = element => {
 
 const getLabelText = element => {
   if (element.id) {
-    const label = document.querySelector(`label[for="${CSS.escape(element.id)}"]`);
+    const label = getRoot(element).querySelector(`label[for="${CSS.escape(element.id)}"]`);
     const labelText = collectText(label);
     if (labelText) return labelText;
   }
@@ -116,6 +190,13 @@ const getLabelText = element => {
   const closestLabelText = collectText(closestLabel);
   if (closestLabelText) return closestLabelText;
 
+  // Explicit ARIA labelling beats the nearby-label heuristics below
+  const ariaLabel = collectText(element.getAttribute("aria-label") || "");
+  if (ariaLabel) return ariaLabel;
+
+  const labelledBy = getAriaLinkedText(element, "aria-labelledby");
+  if (labelledBy) return labelledBy;
+
   const siblingLabel = findSiblingLabel(element);
   if (siblingLabel) return siblingLabel;
 
@@ -123,12 +204,6 @@ const getLabelText = element => {
   const parentLabelText = collectText(parentLabel);
   if (parentLabelText) return parentLabelText;
 
-  const ariaLabel = collectText(element.getAttribute("aria-label") || "");
-  if (ariaLabel) return ariaLabel;
-
-  const labelledBy = getAriaLinkedText(element, "aria-labelledby");
-  if (labelledBy) return labelledBy;
-
   const describedBy = getAriaLinkedText(element, "aria-describedby");
   if (describedBy) return describedBy;
 
@@ -241,6 +316,89 @@ const getQuestionText = element => {
   return "";
 };
 
+// Semantic types use the HTML autocomplete vocabulary, plus "linkedin" which ATS forms ask for constantly
+const AUTOCOMPLETE_SEMANTIC_TYPES = new Map([
+  ["name", "name"],
+  ["given-name", "given-name"],
+  ["additional-name", "additional-name"],
+  ["family-name", "family-name"],
+  ["email", "email"],
+  ["tel", "tel"],
+  ["tel-national", "tel"],
+  ["street-address", "street-address"],
+  ["address-line1", "address-line1"],
+  ["address-line2", "address-line2"],
+  ["address-level2", "address-level2"],
+  ["address-level1", "address-level1"],
+  ["postal-code", "postal-code"],
+  ["country", "country-name"],
+  ["country-name", "country-name"],
+  ["bday", "bday"],
+  ["url", "url"]
+]);
+
+// Matched against the words of the name/id attributes, e.g. "job_application[first_name]" -> "job application first name"
+const NAME_SEMANTIC_PATTERNS = [
+  ["given-name", /\b(first ?name|given ?name|forename|fname)\b/],
+  ["additional-name", /\bmiddle ?name\b/],
+  ["family-name", /\b(last ?name|family ?name|surname|lname)\b/],
+  ["name", /^(full ?|legal ?|candidate ?|applicant ?|your ?)?name$/],
+  ["email", /\be ?mail\b/],
+  ["tel", /\b(phone|mobile|tel|telephone|cell)\b/],
+  ["address-line2", /\b(address ?(line)? ?2|addr2)\b/],
+  ["address-line1", /\b(address ?(line)? ?1|addr1|street)\b|^address$/],
+  ["address-level2", /\b(city|town)\b/],
+  ["address-level1", /\b(state|province)\b/],
+  ["postal-code", /\b(zip|zip ?code|postal ?code|postcode)\b/],
+  ["country-name", /\bcountry\b/],
+  ["bday", /\b(dob|birth ?date|date ?of ?birth|birthday)\b/],
+  ["linkedin", /\blinked ?in\b/],
+  ["url", /\b(website|portfolio)\b/]
+];
+
+const splitAttributeWords = value =>
+  String(value || "")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join(" ");
+
+const classifyField = element => {
+  // The last token is the field name; earlier ones are section/billing/home modifiers
+  const autocomplete = (element.getAttribute("autocomplete") || "").trim().toLowerCase().split(/\s+/).pop();
+  if (AUTOCOMPLETE_SEMANTIC_TYPES.has(autocomplete)) {
+    return AUTOCOMPLETE_SEMANTIC_TYPES.get(autocomplete);
+  }
+
+  // Without an explicit token, an email or phone input next to "Reference" or "Emergency contact"
+  // is someone else's; leave it to the model
+  if (
+    namesAnotherPerson(
+      getLabelText(element),
+      getQuestionText(element),
+      element.getAttribute("aria-label"),
+      splitAttributeWords(element.name),
+      splitAttributeWords(element.id)
+    )
+  ) {
+    return "";
+  }
+
+  const inputType = (element.type || "").toLowerCase();
+  if (inputType === "email" || inputType === "tel") {
+    return inputType;
+  }
+
+  for (const attribute of [element.name, element.id]) {
+    const words = splitAttributeWords(attribute);
+    if (!words) continue;
+    const match = NAME_SEMANTIC_PATTERNS.find(([, pattern]) => pattern.test(words));
+    if (match) return match[0];
+  }
+
+  return "";
+};
 
 const deriveFieldId = element => {
   if (element.dataset.autofillFieldId) {
@@ -270,116 +428,1099 @@ const deriveFieldId = element => {
   return fieldId;
 };
 
-const collectFormFields = () => {
-  fieldRegistry.clear();
-  fieldCounter = 0;
-  const candidates = Array.from(
-    document.querySelectorAll("input, textarea, select")
+// Sensitive fields: secrets and regulated identifiers are never collected, so they never
+// reach the model or the logs. Checked before any other classification.
+const SENSITIVE_AUTOCOMPLETE_TOKENS = new Set([
+  "current-password",
+  "new-password",
+  "one-time-code",
+  "cc-number",
+  "cc-csc",
+  "cc-exp",
+  "cc-exp-month",
+  "cc-exp-year",
+  "cc-type"
+]);
+
+const SENSITIVE_TEXT_PATTERNS = [
+  ["password", /\bpass ?(?:word|code|phrase)\b|\bpin\b|\bone ?time ?code\b/i],
+  [
+    "government ID",
+    /\bssn\b|social ?security|social ?insurance|national ?insurance|\bsin\b|\bi?tin\b|tax ?(?:payer ?)?(?:id|identification)|passport ?(?:no|number)|driver'?s? ?licen[cs]e ?(?:no|number)/i
+  ],
+  ["bank account", /bank ?account|account ?number|routing ?number|\biban\b|sort ?code/i],
+  ["payment card", /(?:credit|debit|payment) ?card|card ?number|\bcvv\b|\bcvc\b|security ?code/i]
+];
+
+const classifySensitiveText = text => {
+  const match = SENSITIVE_TEXT_PATTERNS.find(([, pattern]) => pattern.test(text));
+  if (match) return match[0];
+
+  const lower = text.toLowerCase();
+  return customSensitiveTerms.some(term => lower.includes(term)) ? "custom" : "";
+};
+
+const classifySensitive = element => {
+  if ((element.type || "").toLowerCase() === "password") return "password";
+
+  const autocomplete = (element.getAttribute("autocomplete") || "").trim().toLowerCase().split(/\s+/);
+  if (autocomplete.some(token => SENSITIVE_AUTOCOMPLETE_TOKENS.has(token))) return "autocomplete";
+
+  const text = [
+    getLabelText(element),
+    getQuestionText(element),
+    element.getAttribute("aria-label"),
+    element.placeholder,
+    splitAttributeWords(element.name),
+    splitAttributeWords(element.id)
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  return classifySensitiveText(text);
+};
+
+// Native radios/checkboxes and their ARIA counterparts (role="radio" / role="checkbox" elements)
+const getChoiceType = element =>
+  element.matches("input") ? (element.type || "").toLowerCase() : element.getAttribute("role");
+
+const isChoiceElement = element =>
+  element.matches("input")
+    ? CHOICE_INPUT_TYPES.has(getChoiceType(element))
+    : ARIA_CHOICE_ROLES.has(element.getAttribute("role"));
+
+const isChoiceChecked = element =>
+  element.matches("input") ? element.checked : element.getAttribute("aria-checked") === "true";
+
+const isDisabled = element => element.disabled || element.getAttribute("aria-disabled") === "true";
+
+// Radios (and checkboxes) sharing a name in the same form are one question;
+// unnamed and ARIA ones are grouped by their radiogroup, group or fieldset.
+const getChoiceGroupKey = element => {
+  if (element.matches("input") && element.name) {
+    const formIndex = Array.prototype.indexOf.call(document.forms, element.form);
+    return `${formIndex}:${element.type}:${element.name}`;
+  }
+  return element.closest(`${CHOICE_CONTAINER_SELECTOR}, [role='list']`) || element.parentElement || element;
+};
+
+// Custom-styled choices often hide the native input and show its label instead
+const isChoiceVisible = input =>
+  isElementVisible(input) || Array.from(input.labels || []).some(isElementVisible);
+
+const getOptionLabel = element =>
+  collectText(element.labels?.[0]) ||
+  collectText(element.getAttribute("aria-label") || "") ||
+  getAriaLinkedText(element, "aria-labelledby") ||
+  (element.matches("input") ? element.value : element.getAttribute("data-value") || collectText(element));
+
+const getChoiceValue = element =>
+  element.matches("input") ? element.value : element.getAttribute("data-value") || getOptionLabel(element);
+
+const getChoiceGroupLabel = inputs => {
+  const container = inputs[0].closest(CHOICE_CONTAINER_SELECTOR);
+  if (container) {
+    const legend = container.matches("fieldset") ? collectText(container.querySelector("legend")) : "";
+    const labelled =
+      legend ||
+      collectText(container.getAttribute("aria-label") || "") ||
+      getAriaLinkedText(container, "aria-labelledby");
+    if (labelled) return labelled;
+  }
+
+  // A single checkbox ("I agree to...") is labelled by its own label
+  if (inputs.length === 1) return getOptionLabel(inputs[0]);
+
+  // Otherwise the question is the nearest text around the group that isn't one of its option labels
+  const optionLabels = new Set(inputs.map(getOptionLabel));
+  let scope = inputs[0].parentElement;
+  while (scope && !inputs.every(input => scope.contains(input))) {
+    scope = scope.parentElement;
+  }
+
+  const isQuestionCandidate = (candidate, text) =>
+    text && !optionLabels.has(text) && !inputs.some(input => candidate.contains(input));
+
+  for (let hops = 0; scope && hops < 3; hops++, scope = scope.parentElement) {
+    // A plain text block inside the group ("Which shifts can you work?") comes first
+    for (const child of scope.children) {
+      const text = collectText(child);
+      if (isQuestionCandidate(child, text)) return text;
+    }
+
+    for (const selector of QUESTION_TEXT_SELECTORS) {
+      for (const candidate of scope.querySelectorAll(selector)) {
+        const text = collectText(candidate);
+        if (isQuestionCandidate(candidate, text)) {
+          return text;
+        }
+      }
+    }
+  }
+
+  return getQuestionText(inputs[0]);
+};
+
+const buildChoiceField = inputs => {
+  const first = inputs[0];
+  const fieldId = deriveFieldId(first);
+  choiceRegistry.set(fieldId, inputs);
+
+  const label = getChoiceGroupLabel(inputs);
+  const type = getChoiceType(first);
+  return {
+    fieldId,
+    tagName: first.tagName.toLowerCase(),
+    type,
+    name: first.name || "",
+    semanticType: classifyField(first),
+    placeholder: "",
+    ariaLabel: "",
+    label,
+    questionText: label,
+    options: inputs.map(input => ({ value: getChoiceValue(input), label: getOptionLabel(input) })),
+    multiple: type === "checkbox" && inputs.length > 1
+  };
+};
+
+// A group is judged by its question, not its inputs: a radio's own label is just an option
+const classifySensitiveGroup = inputs =>
+  classifySensitiveText(
+    [getChoiceGroupLabel(inputs), splitAttributeWords(inputs[0].name), splitAttributeWords(inputs[0].id)]
+      .filter(Boolean)
+      .join(" ")
+  );
+
+// "Select...", "-- Choose --" and other empty-valued prompts are not real answers
+const isPlaceholderOption = option =>
+  option.disabled || (!option.value && (!option.text.trim() || option.index === 0));
+
+const getSelectOptions = select =>
+  Array.from(select.options)
+    .filter(option => !isPlaceholderOption(option))
+    .map(option => ({ value: option.value, label: collectText(option.text) || option.value }));
+
+// Answers arrive already resolved to one of the field's option labels: the server maps model
+// answers onto them (server/options.js), profile values are only used when they name an option,
+// and the review panel edits option fields with a picker. So the page only looks the option up.
+const normalizeOptionText = text => String(text ?? "").replace(/\s+/g, " ").trim().toLowerCase();
+
+// options: [{ label, value, ... }]; returns the option the answer names, or null
+const findOptionMatch = (answer, options) => {
+  const wanted = normalizeOptionText(answer);
+  if (!wanted) return null;
+  return (
+    options.find(option => normalizeOptionText(option.label) === wanted) ||
+    options.find(option => normalizeOptionText(option.value) === wanted) ||
+    null
   );
+};
+
+const splitChoiceAnswer = (value, multiple) =>
+  multiple ? value.split(CHOICE_SEPARATOR).map(part => part.trim()).filter(Boolean) : [value];
+
+// ARIA widgets and rich-text editors
+const isRichTextRoot = element => {
+  const editable = element.getAttribute("contenteditable");
+  if (editable === null || editable === "false") return false;
+  return !element.parentElement?.closest("[contenteditable]:not([contenteditable='false'])");
+};
+
+// Listboxes that pop up under a combobox are filled through the combobox
+const isComboboxPopup = listbox => {
+  if (listbox.closest("[role='combobox']")) return true;
+  if (!listbox.id) return false;
+  const id = CSS.escape(listbox.id);
+  return Boolean(
+    getRoot(listbox).querySelector(`[role='combobox'][aria-controls~="${id}"], [role='combobox'][aria-owns~="${id}"]`)
+  );
+};
+
+const getWidgetKind = element => {
+  if (element.matches("select")) return "native";
+  const role = element.getAttribute("role");
+  if (role === "combobox") return "combobox";
+  if (role === "listbox") return isComboboxPopup(element) ? null : "listbox";
+  if (element.matches("input, textarea")) return "native";
+  return isRichTextRoot(element) ? "richtext" : null;
+};
+
+const findListbox = element => {
+  if (element.getAttribute("role") === "listbox") return element;
+
+  const ids = `${element.getAttribute("aria-controls") || ""} ${element.getAttribute("aria-owns") || ""}`
+    .split(/\s+/)
+    .filter(Boolean);
+  for (const id of ids) {
+    const target = getRoot(element).getElementById(id);
+    if (target) return target.matches("[role='listbox']") ? target : target.querySelector("[role='listbox']");
+  }
+
+  return element.querySelector("[role='listbox']");
+};
+
+const getListboxOptions = listbox =>
+  Array.from(listbox?.querySelectorAll("[role='option']") || [])
+    // Google Forms marks its "Choose" prompt with an empty data-value
+    .filter(option => option.getAttribute("aria-disabled") !== "true" && option.getAttribute("data-value") !== "")
+    .map(option => ({
+      element: option,
+      label: collectText(option.getAttribute("aria-label") || "") || collectText(option),
+      value: option.getAttribute("data-value") || ""
+    }))
+    .filter(option => option.label || option.value);
+
+// Entries survive between runs (wizard steps keep earlier fields around); only detached ones go
+const pruneRegistries = () => {
+  fieldRegistry.forEach((element, fieldId) => {
+    if (!element.isConnected) fieldRegistry.delete(fieldId);
+  });
+  choiceRegistry.forEach((inputs, fieldId) => {
+    if (!inputs.some(input => input.isConnected)) choiceRegistry.delete(fieldId);
+  });
+};
+
+// File inputs: matched to a stored document by what they ask for, never sent to the model
+const FILE_KIND_PATTERNS = [
+  ["cover-letter", /cover\s*letter|motivation\s*letter/i],
+  ["transcript", /transcript|grade\s*report|academic\s*record/i],
+  ["resume", /r[ée]sum[ée]|\bcv\b|curriculum\s*vitae/i]
+];
+
+const classifyFileInput = input => {
+  const text = [
+    getLabelText(input),
+    getQuestionText(input),
+    input.getAttribute("aria-label"),
+    splitAttributeWords(input.name),
+    splitAttributeWords(input.id)
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return FILE_KIND_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || "";
+};
+
+// Upload inputs are usually hidden behind a styled button or drop zone
+const isFileInputVisible = input =>
+  isElementVisible(input) ||
+  Array.from(input.labels || []).some(isElementVisible) ||
+  Boolean(input.parentElement && isElementVisible(input.parentElement));
+
+const buildFileField = input => ({
+  fieldId: deriveFieldId(input),
+  tagName: "input",
+  type: "file",
+  name: input.name || "",
+  label: getLabelText(input),
+  questionText: getQuestionText(input),
+  accept: input.accept || "",
+  multiple: input.multiple,
+  documentKind: classifyFileInput(input)
+});
+
+// What the field holds right now, as text: checked option labels, selected options, file names
+const readCurrentValue = fieldId => {
+  const choices = choiceRegistry.get(fieldId);
+  if (choices) return choices.filter(isChoiceChecked).map(getOptionLabel).join(`${CHOICE_SEPARATOR} `);
+
+  const element = findFieldElement(fieldId);
+  if (!element) return "";
+
+  if (element.matches("select")) {
+    return Array.from(element.selectedOptions)
+      .filter(option => !isPlaceholderOption(option))
+      .map(option => option.text.trim())
+      .join(`${CHOICE_SEPARATOR} `);
+  }
+  if (element.matches("input[type='file']")) {
+    return Array.from(element.files || []).map(file => file.name).join(", ");
+  }
+
+  const kind = getWidgetKind(element);
+  if (kind === "richtext") return collectText(element);
+  if (kind === "listbox" || (kind === "combobox" && !element.matches("input, textarea"))) {
+    return getSelectedAriaLabels(element).join(`${CHOICE_SEPARATOR} `);
+  }
+  return String(element.value || "").trim();
+};
+
+// Skipped fields are reported by label only; their values are never read
+const describeSkippedField = element =>
+  getLabelText(element) || getQuestionText(element) || element.name || element.id || "";
+
+const isUserEdited = fieldId => getFieldElements(fieldId).some(element => userEditedElements.has(element));
+
+const collectFormFields = () => {
+  pruneRegistries();
+  const candidates = queryAllDeep(FIELD_SELECTOR);
 
   const fields = [];
+  const sensitive = [];
+  // Rendered but concealed fields; skipped and reported so the popup can warn about them
+  const hidden = [];
+  const noteHidden = (element, reason) => hidden.push({ label: describeSkippedField(element), reason });
+
+  const choiceGroups = new Map();
+  const concealedChoices = new Map();
+  candidates
+    .filter(isChoiceElement)
+    .filter(input => !isDisabled(input))
+    .forEach(input => {
+      const key = getChoiceGroupKey(input);
+      if (isChoiceVisible(input)) {
+        if (!choiceGroups.has(key)) choiceGroups.set(key, []);
+        choiceGroups.get(key).push(input);
+      } else if (isElementRendered(input) && !concealedChoices.has(key)) {
+        concealedChoices.set(key, input);
+      }
+    });
+  // A group is only suspicious when none of its options can be seen
+  concealedChoices.forEach((input, key) => {
+    if (!choiceGroups.has(key)) noteHidden(input, getConcealment(input));
+  });
 
   candidates.forEach(element => {
-    if (!isElementVisible(element) || element.disabled) {
+    if (isChoiceElement(element)) {
+      // Emit each group once, at the position of its first input
+      const key = getChoiceGroupKey(element);
+      const inputs = choiceGroups.get(key);
+      if (inputs?.[0] !== element) return;
+
+      const sensitiveReason = classifySensitiveGroup(inputs);
+      if (sensitiveReason) {
+        sensitive.push({ label: getChoiceGroupLabel(inputs) || describeSkippedField(element), reason: sensitiveReason });
+      } else {
+        fields.push(buildChoiceField(inputs));
+      }
       return;
     }
 
-    if (element.matches("input")) {
-      const type = (element.type || "text").toLowerCase();
-      if (type === "hidden" || type === "file" || type === "button" || type === "submit") {
-        return;
+    if (element.matches("input[type='file']")) {
+      if (isDisabled(element)) return;
+      if (isFileInputVisible(element)) {
+        fields.push(buildFileField(element));
+      } else if (element.parentElement && isElementRendered(element.parentElement)) {
+        // The upload button around the input is laid out but concealed
+        noteHidden(element, getConcealment(element.parentElement));
       }
+      return;
+    }
 
-      if (!SUPPORTED_INPUT_TYPES.has(type)) {
-        return;
-      }
+    const kind = getWidgetKind(element);
+    if (!kind || !isElementRendered(element) || isDisabled(element)) {
+      return;
+    }
+    const inputType = kind === "native" && element.matches("input") ? (element.type || "text").toLowerCase() : "";
+    if (inputType === "hidden" || inputType === "button" || inputType === "submit") {
+      return;
+    }
+
+    const concealment = getConcealment(element);
+    if (concealment) {
+      noteHidden(element, concealment);
+      return;
+    }
+
+    const sensitiveReason = classifySensitive(element);
+    if (sensitiveReason) {
+      sensitive.push({ label: describeSkippedField(element), reason: sensitiveReason });
+      return;
+    }
+
+    if (inputType && !SUPPORTED_INPUT_TYPES.has(inputType)) {
+      return;
     }
 
     const fieldId = deriveFieldId(element);
+    const isSelect = element.matches("select");
+    const listOptions =
+      kind === "combobox" || kind === "listbox"
+        ? getListboxOptions(findListbox(element)).map(({ label, value }) => ({ label, value }))
+        : [];
 
     fields.push({
       fieldId,
       tagName: element.tagName.toLowerCase(),
-      type: element.type || "",
+      type: kind === "native" ? element.type || "" : kind,
       name: element.name || "",
-      placeholder: element.placeholder || "",
+      semanticType: classifyField(element),
+      placeholder: element.placeholder || element.getAttribute("aria-placeholder") || "",
       ariaLabel: element.getAttribute("aria-label") || "",
       label: getLabelText(element),
     //   nearbyText: getNearbyText(element),
     //   formContext: getFormContext(element),
-      questionText: getQuestionText(element)
+      questionText: getQuestionText(element),
+      ...(isSelect ? { options: getSelectOptions(element), multiple: element.multiple } : {}),
+      ...(listOptions.length
+        ? { options: listOptions, multiple: element.getAttribute("aria-multiselectable") === "true" }
+        : {})
     });
   });
 
-  return fields;
+  return {
+    fields: fields.map(field => ({
+      ...field,
+      currentValue: readCurrentValue(field.fieldId),
+      userEdited: isUserEdited(field.fieldId)
+    })),
+    sensitive,
+    hidden
+  };
+};
+
+// Frameworks (React, Vue, Angular) listen for input events carrying an inputType
+const dispatchValueEvents = (element, data = null) => {
+  element.dispatchEvent(
+    new InputEvent("input", { bubbles: true, composed: true, inputType: "insertReplacementText", data })
+  );
+  element.dispatchEvent(new Event("change", { bubbles: true }));
+  element.dispatchEvent(new Event("blur", { bubbles: true }));
+};
+
+// React keeps its own value tracker on the element; writing through the prototype's setter
+// bypasses it so the following input event is seen as a real change instead of being swallowed
+const setNativeValue = (element, value) => {
+  const prototype =
+    element instanceof HTMLTextAreaElement
+      ? HTMLTextAreaElement.prototype
+      : element instanceof HTMLSelectElement
+        ? HTMLSelectElement.prototype
+        : HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(prototype, "value")?.set;
+  if (setter) {
+    setter.call(element, value);
+  } else {
+    element.value = value;
+  }
 };
 
-const setElementValue = (element, value) => {
-  const tag = element.tagName.toLowerCase();
+// Phone and date masks reformat (or reject) a value written in one go, but accept typing
+const MASK_ATTRIBUTES = ["data-mask", "data-inputmask", "data-inputmask-mask", "data-mask-pattern", "mask"];
+const MASK_PLACEHOLDER_PATTERN = /[_#]{2,}|\b(?:mm|dd|yy|yyyy)\s*[/.-]/i;
+
+const isMaskedInput = element =>
+  MASK_ATTRIBUTES.some(attribute => element.hasAttribute(attribute)) ||
+  MASK_PLACEHOLDER_PATTERN.test(element.placeholder || "") ||
+  /_{2,}/.test(element.value || "");
+
+// A mask may add its own punctuation ("5551234567" -> "(555) 123-4567"), so compare letters and digits
+const comparableValue = value => String(value ?? "").replace(/[^\p{L}\p{N}]/gu, "").toLowerCase();
 
-  if (tag === "select") {
-    const optionMatch =
-      Array.from(element.options).find(
-        option =>
-          option.value.toLowerCase() === value.toLowerCase() ||
-          option.text.toLowerCase() === value.toLowerCase()
-      ) || null;
+const valueStuck = (element, value) =>
+  element.value === value || comparableValue(element.value) === comparableValue(value);
 
-    if (optionMatch) {
-      element.value = optionMatch.value;
-    } else {
-      element.value = value;
+const describeElement = element => element.name || element.id || element.getAttribute("aria-label") || element.tagName;
+
+// Insert at the caret like a keyboard would; email and number inputs have no selection API
+const insertAtCaret = (element, text) => {
+  try {
+    if (element.selectionStart !== null) {
+      element.setRangeText(text, element.selectionStart, element.selectionEnd, "end");
+      return;
     }
-  } else if (tag === "input") {
-    const type = (element.type || "text").toLowerCase();
-    if (type === "number") {
-      const numeric = value.replace(/[^\d.-]/g, "");
-      element.value = numeric;
-    } else {
-      element.value = value;
+  } catch (error) {
+    // fall through to appending
+  }
+  setNativeValue(element, element.value + text);
+};
+
+const typeKeystrokes = async (element, value) => {
+  element.focus();
+  setNativeValue(element, "");
+  element.dispatchEvent(new InputEvent("input", { bubbles: true, composed: true, inputType: "deleteContentBackward" }));
+
+  for (const char of value) {
+    const keyInit = { key: char, bubbles: true, cancelable: true, composed: true };
+    // Mask libraries cancel keydown or beforeinput when they insert the character themselves
+    const keyAllowed = element.dispatchEvent(new KeyboardEvent("keydown", keyInit));
+    element.dispatchEvent(new KeyboardEvent("keypress", keyInit));
+
+    const beforeInput = new InputEvent("beforeinput", {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      inputType: "insertText",
+      data: char
+    });
+    if (keyAllowed && element.dispatchEvent(beforeInput)) {
+      insertAtCaret(element, char);
+      element.dispatchEvent(new InputEvent("input", { bubbles: true, composed: true, inputType: "insertText", data: char }));
     }
-  } else {
-    element.value = value;
+
+    element.dispatchEvent(new KeyboardEvent("keyup", keyInit));
+    await sleep(KEYSTROKE_DELAY_MS);
   }
 
-  element.dispatchEvent(new Event("input", { bubbles: true }));
   element.dispatchEvent(new Event("change", { bubbles: true }));
   element.dispatchEvent(new Event("blur", { bubbles: true }));
 };
 
-const applyAutofill = results => {
-  results.forEach(({ fieldId, value }) => {
-    const element = fieldRegistry.get(fieldId) ||
-      document.querySelector(`[data-autofill-field-id="${CSS.escape(fieldId)}"]`);
+// Set in one go, wait for the framework to re-render, and type it out if the value didn't stay
+const fillTextInput = async (element, value) => {
+  if (!isMaskedInput(element)) {
+    setNativeValue(element, value);
+    dispatchValueEvents(element, value);
+    await sleep(VALUE_SETTLE_MS);
+    if (valueStuck(element, value)) return true;
+    console.warn(`${describeElement(element)} did not keep "${maskSecrets(value)}"; typing it instead`);
+  }
 
-    if (!element || typeof value !== "string" || !value.trim()) {
-      return;
+  await typeKeystrokes(element, value);
+  await sleep(VALUE_SETTLE_MS);
+  if (valueStuck(element, value)) return true;
+
+  console.warn(`${describeElement(element)} still shows "${maskSecrets(element.value)}" instead of "${maskSecrets(value)}"`);
+  return false;
+};
+
+const setElementValue = async (element, value) => {
+  if (element.matches("select")) {
+    const options = Array.from(element.options)
+      .filter(option => !isPlaceholderOption(option))
+      .map(option => ({ option, label: option.text, value: option.value }));
+    const matches = splitChoiceAnswer(value, element.multiple)
+      .map(answer => findOptionMatch(answer, options))
+      .filter(Boolean);
+
+    // Never write a value the select doesn't offer; leave it for the user instead
+    if (!matches.length) {
+      console.warn(`No option of ${element.name || element.id || "select"} matches "${maskSecrets(value)}"`);
+      return false;
     }
 
-    setElementValue(element, value.trim());
+    // A multi-select keeps earlier picks unless they are cleared, so it is set to exactly the answer
+    const wanted = new Set(matches.map(({ option }) => option));
+    Array.from(element.options).forEach(option => {
+      option.selected = wanted.has(option);
+    });
+    dispatchValueEvents(element);
+    return true;
+  }
+
+  const type = (element.type || "text").toLowerCase();
+  return fillTextInput(element, type === "number" ? value.replace(/[^\d.-]/g, "") : value);
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Custom widgets listen for the whole pointer sequence, not just "click"
+const simulateClick = element => {
+  ["pointerdown", "mousedown", "pointerup", "mouseup", "click"].forEach(type => {
+    const EventType = type.startsWith("pointer") && typeof PointerEvent === "function" ? PointerEvent : MouseEvent;
+    element.dispatchEvent(new EventType(type, { bubbles: true, cancelable: true, view: window }));
   });
 };
 
+// Native inputs: click() so the page's own listeners see a real toggle
+const toggleChoice = input => (input.matches("input") ? input.click() : simulateClick(input));
+
+// Ticks left over from the page or an earlier run are cleared first, so the group ends up
+// holding exactly the answer. Returns false when an answer matched no option or a click didn't stick.
+const applyChoice = (inputs, value) => {
+  const options = inputs.map(input => ({ input, label: getOptionLabel(input), value: getChoiceValue(input) }));
+  const multiple = getChoiceType(inputs[0]) === "checkbox" && inputs.length > 1;
+
+  const matches = splitChoiceAnswer(value, multiple).map(answer => {
+    const match = findOptionMatch(answer, options);
+    if (!match) console.warn(`No option of ${inputs[0].name || "choice group"} matches "${maskSecrets(answer)}"`);
+    return match;
+  });
+  const wanted = new Set(matches.filter(Boolean).map(match => match.input));
+  if (!wanted.size) return false;
+
+  // Radios drop the old choice by themselves once the new one is checked
+  if (getChoiceType(inputs[0]) === "checkbox") {
+    inputs.filter(input => isChoiceChecked(input) && !wanted.has(input)).forEach(toggleChoice);
+  }
+  wanted.forEach(input => {
+    if (!isChoiceChecked(input)) toggleChoice(input);
+  });
+
+  return matches.every(Boolean) && inputs.every(input => isChoiceChecked(input) === wanted.has(input));
+};
+
+// Popups render asynchronously (often at the end of <body>), so poll until options are visible
+const waitForVisibleOptions = async element => {
+  const deadline = Date.now() + LISTBOX_WAIT_MS;
+  while (Date.now() < deadline) {
+    const own = findListbox(element);
+    const popups = queryAllDeep("[role='listbox']").filter(
+      listbox => listbox !== own && !listbox.dataset.autofillFieldId
+    );
+
+    for (const listbox of [own, ...popups.reverse()].filter(Boolean)) {
+      const options = getListboxOptions(listbox).filter(option => isElementVisible(option.element));
+      if (options.length) return options;
+    }
+    await sleep(LISTBOX_POLL_MS);
+  }
+  return [];
+};
+
+const isMultiSelectListbox = element => findListbox(element)?.getAttribute("aria-multiselectable") === "true";
+
+const isAriaOptionSelected = option => option.element.getAttribute("aria-selected") === "true";
+
+// Each click toggles one option of a multi-select listbox: stale picks are clicked off and missing
+// ones on, so the listbox ends up holding exactly the wanted labels. An empty list clears it.
+const selectAriaOptions = async (element, labels) => {
+  const options = await waitForVisibleOptions(element);
+  const matches = labels.map(label => {
+    const match = findOptionMatch(label, options);
+    if (!match) {
+      console.warn(`No option of ${element.getAttribute("aria-label") || element.id || "listbox"} matches "${maskSecrets(label)}"`);
+    }
+    return match;
+  });
+  const wanted = new Set(matches.filter(Boolean).map(match => match.element));
+  if (labels.length && !wanted.size) return false;
+
+  options
+    .filter(option => isAriaOptionSelected(option) !== wanted.has(option.element))
+    .forEach(option => simulateClick(option.element));
+
+  return matches.every(Boolean) && options.every(option => isAriaOptionSelected(option) === wanted.has(option.element));
+};
+
+// Open the widget, type to filter when it is editable, then click the matching option
+const selectAriaOption = async (element, value) => {
+  if (isMultiSelectListbox(element)) return selectAriaOptions(element, splitChoiceAnswer(value, true));
+
+  simulateClick(element);
+
+  if (element.matches("input, textarea")) {
+    element.focus();
+    setNativeValue(element, value);
+    element.dispatchEvent(new InputEvent("input", { bubbles: true, composed: true, inputType: "insertText", data: value }));
+    element.dispatchEvent(new KeyboardEvent("keydown", { key: "ArrowDown", bubbles: true }));
+  }
+
+  const match = findOptionMatch(value, await waitForVisibleOptions(element));
+  if (match) {
+    simulateClick(match.element);
+    return true;
+  }
+
+  console.warn(`No option of ${element.getAttribute("aria-label") || element.id || "combobox"} matches "${maskSecrets(value)}"`);
+  element.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+  return false;
+};
+
+// Rich-text editors (ProseMirror, Draft.js, Quill...) keep their own model of the document,
+// so the text has to arrive as an edit rather than a DOM change
+const typeIntoEditor = (element, value) => {
+  element.focus();
+  const selection = window.getSelection();
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  let inserted = false;
+  try {
+    inserted = document.execCommand("insertText", false, value);
+  } catch (error) {
+    inserted = false;
+  }
+
+  if (!inserted) {
+    element.textContent = value;
+    element.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "insertText", data: value }));
+  }
+
+  element.dispatchEvent(new Event("change", { bubbles: true }));
+  element.dispatchEvent(new Event("blur", { bubbles: true }));
+
+  const shown = element.textContent.replace(/\s+/g, "");
+  return shown.includes(value.replace(/\s+/g, ""));
+};
+
+const attachFile = (input, file) => {
+  if (!matchesAccept(input.accept, file)) {
+    console.warn(`${file.name} does not match the upload field's accept="${input.accept}"`);
+    return false;
+  }
+
+  const bytes = Uint8Array.from(atob(file.data), char => char.charCodeAt(0));
+  const transfer = new DataTransfer();
+  transfer.items.add(new File([bytes], file.name, { type: file.type }));
+  input.files = transfer.files;
+
+  input.dispatchEvent(new Event("input", { bubbles: true }));
+  input.dispatchEvent(new Event("change", { bubbles: true }));
+  return true;
+};
+
+const findFieldElement = fieldId =>
+  fieldRegistry.get(fieldId) || queryAllDeep(`[data-autofill-field-id="${CSS.escape(fieldId)}"]`)[0];
+
+// Undo: every run snapshots a field the first time it writes to it, and undo restores the
+// latest run's snapshots in reverse order
+const undoRuns = new Map();
+
+// A combobox's own text is often a "Select..." prompt, so only selected options count
+const getSelectedAriaLabels = element =>
+  getListboxOptions(findListbox(element))
+    .filter(isAriaOptionSelected)
+    .map(option => option.label);
+
+const snapshotField = fieldId => {
+  const choices = choiceRegistry.get(fieldId);
+  if (choices) return { kind: "choice", inputs: choices, checked: choices.map(isChoiceChecked) };
+
+  const element = findFieldElement(fieldId);
+  if (!element) return null;
+
+  const kind = getWidgetKind(element);
+  if (element.matches("select")) {
+    return { kind: "select", element, selected: Array.from(element.options).map(option => option.selected) };
+  }
+  if (element.matches("input[type='file']")) return { kind: "file", element, files: Array.from(element.files || []) };
+  if (kind === "richtext") return { kind: "richtext", element, html: element.innerHTML };
+  if (kind === "listbox" || (kind === "combobox" && !element.matches("input, textarea"))) {
+    return { kind: "aria-selection", element, labels: getSelectedAriaLabels(element) };
+  }
+  return { kind: "value", element, value: element.value };
+};
+
+const recordSnapshot = (runId, fieldId) => {
+  // Re-inserting keeps the most recently written run last
+  const snapshots = undoRuns.get(runId) || new Map();
+  undoRuns.delete(runId);
+  undoRuns.set(runId, snapshots);
+  if (snapshots.has(fieldId)) return;
+
+  const snapshot = snapshotField(fieldId);
+  if (snapshot) snapshots.set(fieldId, snapshot);
+};
+
+// Resolves to false when the page still holds the autofilled value
+const restoreSnapshot = async snapshot => {
+  const { kind, element } = snapshot;
+
+  if (kind === "choice") {
+    snapshot.inputs.forEach((input, index) => {
+      const wanted = snapshot.checked[index];
+      if (isChoiceChecked(input) === wanted) return;
+      if (input.matches("input")) {
+        input.checked = wanted;
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+        input.dispatchEvent(new Event("change", { bubbles: true }));
+      } else if (wanted || getChoiceType(input) === "checkbox") {
+        // An ARIA radio is unchecked by checking the one that was selected before
+        simulateClick(input);
+      }
+    });
+    // An ARIA radio group that had nothing selected cannot be unselected again
+    return snapshot.inputs.every((input, index) => isChoiceChecked(input) === snapshot.checked[index]);
+  }
+
+  if (kind === "select") {
+    Array.from(element.options).forEach((option, index) => {
+      option.selected = Boolean(snapshot.selected[index]);
+    });
+    dispatchValueEvents(element);
+    return true;
+  }
+
+  if (kind === "file") {
+    const transfer = new DataTransfer();
+    snapshot.files.forEach(file => transfer.items.add(file));
+    element.files = transfer.files;
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+    element.dispatchEvent(new Event("change", { bubbles: true }));
+    return true;
+  }
+
+  if (kind === "richtext") {
+    element.innerHTML = snapshot.html;
+    element.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "insertReplacementText" }));
+    element.dispatchEvent(new Event("change", { bubbles: true }));
+    return true;
+  }
+
+  if (kind === "aria-selection") {
+    if (snapshot.labels.join(CHOICE_SEPARATOR) === getSelectedAriaLabels(element).join(CHOICE_SEPARATOR)) return true;
+    if (isMultiSelectListbox(element)) return selectAriaOptions(element, snapshot.labels);
+    if (snapshot.labels.length) return selectAriaOption(element, snapshot.labels[0]);
+
+    console.warn(`${element.getAttribute("aria-label") || element.id || "listbox"} had no selection and cannot be cleared`);
+    return false;
+  }
+
+  setNativeValue(element, snapshot.value);
+  dispatchValueEvents(element, snapshot.value);
+  return true;
+};
+
+const describeSnapshot = (snapshot, fieldId) =>
+  (snapshot.inputs ? getChoiceGroupLabel(snapshot.inputs) : describeSkippedField(snapshot.element)) || fieldId;
+
+// runId null undoes this frame's latest run; resolves with the number of fields restored and
+// the labels of those that could not be put back
+const undoAutofill = async runId => {
+  const id = runId ?? Array.from(undoRuns.keys()).pop();
+  const snapshots = undoRuns.get(id);
+  if (!snapshots) return { restored: 0, failed: [] };
+
+  undoRuns.delete(id);
+  const restorable = Array.from(snapshots.entries())
+    .reverse()
+    .filter(([, snapshot]) => (snapshot.element || snapshot.inputs[0]).isConnected);
+
+  let restored = 0;
+  const failed = [];
+  applyingAutofill = true;
+  try {
+    for (const [fieldId, snapshot] of restorable) {
+      if (await restoreSnapshot(snapshot)) {
+        restored += 1;
+      } else {
+        failed.push(describeSnapshot(snapshot, fieldId));
+      }
+    }
+  } finally {
+    applyingAutofill = false;
+  }
+  return { restored, failed };
+};
+
+// Sequential on purpose: only one dropdown can be open at a time
+const writeResult = async ({ fieldId, value, file }, runId) => {
+  if (file) {
+    const input = fieldRegistry.get(fieldId);
+    if (!input) return false;
+    recordSnapshot(runId, fieldId);
+    return attachFile(input, file);
+  }
+
+  const choices = choiceRegistry.get(fieldId);
+  if (choices) {
+    recordSnapshot(runId, fieldId);
+    return applyChoice(choices, value);
+  }
+
+  const element = findFieldElement(fieldId);
+  if (!element) return false;
+
+  recordSnapshot(runId, fieldId);
+  const kind = getWidgetKind(element);
+  if (kind === "combobox" || kind === "listbox") return selectAriaOption(element, value);
+  if (kind === "richtext") return typeIntoEditor(element, value);
+  return setElementValue(element, value);
+};
+
+// Resolves to the IDs of the fields the page would not take a value for
+const writeResults = async (results, runId) => {
+  const failed = [];
+  for (const result of results) {
+    const value = typeof result.value === "string" ? result.value.trim() : "";
+    if (!value && !result.file) continue;
+
+    if (!(await writeResult({ ...result, value }, runId))) failed.push(result.fieldId);
+  }
+  return failed;
+};
+
+// Events fired while writing are ours, not the user's
+const applyAutofill = async (results, runId = "default") => {
+  applyingAutofill = true;
+  try {
+    return await writeResults(results, runId);
+  } finally {
+    applyingAutofill = false;
+  }
+};
+
+// Review highlights: outline each field under review, restoring the page's own outline afterwards
+const HIGHLIGHT_STYLES = {
+  pending: "2px solid #0284c7",
+  low: "2px dashed #f59e0b",
+  "needs-input": "2px solid #dc2626"
+};
+
+const getFieldElements = fieldId => {
+  const element = choiceRegistry.get(fieldId) || fieldRegistry.get(fieldId);
+  if (Array.isArray(element)) return element;
+  return element ? [element] : [];
+};
+
+// Custom radios, checkboxes and upload buttons hide the real input behind their label
+const getHighlightTarget = element => {
+  if (isElementVisible(element)) return element;
+  return (
+    Array.from(element.labels || []).find(isElementVisible) ||
+    [element.closest(CHOICE_CONTAINER_SELECTOR), element.parentElement].find(
+      candidate => candidate && isElementVisible(candidate)
+    ) ||
+    element
+  );
+};
+
+const getHighlightTargets = fieldId => Array.from(new Set(getFieldElements(fieldId).map(getHighlightTarget)));
+
+const highlightField = (fieldId, state) => {
+  getHighlightTargets(fieldId).forEach(target => {
+    if (!("autofillOutline" in target.dataset)) {
+      target.dataset.autofillOutline = target.style.outline;
+      target.dataset.autofillOutlineOffset = target.style.outlineOffset;
+    }
+    target.style.outline = HIGHLIGHT_STYLES[state] || HIGHLIGHT_STYLES.pending;
+    target.style.outlineOffset = "2px";
+  });
+};
+
+const restoreOutline = target => {
+  target.style.outline = target.dataset.autofillOutline;
+  target.style.outlineOffset = target.dataset.autofillOutlineOffset || "";
+  delete target.dataset.autofillOutline;
+  delete target.dataset.autofillOutlineOffset;
+};
+
+// fieldIds null clears every highlight in this frame
+const clearHighlights = fieldIds => {
+  const targets = fieldIds
+    ? fieldIds.flatMap(getHighlightTargets)
+    : queryAllDeep("[data-autofill-outline]");
+  targets.filter(target => "autofillOutline" in target.dataset).forEach(restoreOutline);
+};
+
+const focusField = fieldId => {
+  const [element] = getFieldElements(fieldId);
+  if (!element) return false;
+
+  getHighlightTarget(element).scrollIntoView({ behavior: "smooth", block: "center" });
+  element.focus({ preventScroll: true });
+  return true;
+};
+
+// Trusted input/change events mark a field as the user's; composedPath reaches into shadow roots
+const trackUserEdit = event => {
+  if (!event.isTrusted || applyingAutofill) return;
+  const [target] = event.composedPath();
+  if (target instanceof Element) userEditedElements.add(target);
+};
+
+document.addEventListener("input", trackUserEdit, true);
+document.addEventListener("change", trackUserEdit, true);
+
+// Follow mode: watch for wizard steps and ask the background for another pass
+const hasUnseenFields = () => collectFormFields().fields.some(field => !seenFieldIds.has(field.fieldId));
+
+const scheduleFollowCheck = () => {
+  clearTimeout(followTimer);
+  followTimer = setTimeout(() => {
+    if (followObserver && hasUnseenFields()) {
+      chrome.runtime.sendMessage({ type: "follow-fields-changed" }).catch(() => undefined);
+    }
+  }, FOLLOW_DEBOUNCE_MS);
+};
+
+const startFollowing = () => {
+  if (followObserver) return;
+  // Wizard steps appear as inserted nodes or as existing nodes becoming visible
+  followObserver = new MutationObserver(scheduleFollowCheck);
+  followObserver.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ["style", "class", "hidden", "aria-hidden"]
+  });
+  scheduleFollowCheck();
+};
+
+const stopFollowing = () => {
+  followObserver?.disconnect();
+  followObserver = null;
+  clearTimeout(followTimer);
+};
+
+// A followed application keeps going on the next page of the same site
+chrome.runtime
+  .sendMessage({ type: "follow-status" })
+  .then(response => {
+    if (response?.following) startFollowing();
+  })
+  .catch(() => undefined);
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // The background injects this script on demand and checks first whether it is already here
+  if (message?.type === "ping") {
+    sendResponse({ ready: true });
+    return true;
+  }
+
   if (message?.type === "collect-fields") {
     try {
-      const fields = collectFormFields();
-      sendResponse(fields);
+      customSensitiveTerms = (message.sensitiveTerms || [])
+        .map(term => String(term).trim().toLowerCase())
+        .filter(Boolean);
+      const { fields: collected, sensitive, hidden } = collectFormFields();
+      const fields = message.onlyNew ? collected.filter(field => !seenFieldIds.has(field.fieldId)) : collected;
+      collected.forEach(field => seenFieldIds.add(field.fieldId));
+      // Edits are counted "since the last run"
+      userEditedElements = new WeakSet();
+      sendResponse({ fields, sensitive, hidden });
     } catch (error) {
       console.warn("Field collection failed", error);
-      sendResponse([]);
+      sendResponse({ fields: [], sensitive: [], hidden: [] });
     }
     return true;
   }
 
   if (message?.type === "apply-autofill") {
-    try {
-      applyAutofill(message.results || []);
-      sendResponse({ success: true });
-    } catch (error) {
-      console.error("Unable to apply autofill", error);
-      sendResponse({ success: false, error: error.message });
-    }
+    applyAutofill(message.results || [], message.runId)
+      .then(failed => sendResponse({ success: true, failed }))
+      .catch(error => {
+        console.error("Unable to apply autofill", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message?.type === "restore-snapshots") {
+    undoAutofill(message.runId ?? null)
+      .then(({ restored, failed }) => sendResponse({ success: true, restored, failed }))
+      .catch(error => {
+        console.error("Unable to undo autofill", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message?.type === "highlight-fields") {
+    (message.highlights || []).forEach(({ fieldId, state }) => highlightField(fieldId, state));
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message?.type === "clear-highlight") {
+    clearHighlights(message.fieldIds || null);
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message?.type === "focus-field") {
+    sendResponse({ success: focusField(message.fieldId) });
+    return true;
+  }
+
+  // Only the top frame receives this; the overlay itself lives in review-overlay.js
+  if (message?.type === "show-review") {
+    showReviewOverlay(message);
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message?.type === "follow-start") {
+    startFollowing();
+    sendResponse({ following: true });
+    return true;
+  }
+
+  if (message?.type === "follow-stop") {
+    stopFollowing();
+    sendResponse({ following: false });
     return true;
   }
 
@@ -3,10 +3,44 @@ const documentList = document.getElementById("documentList");
 const clearDataButton = document.getElementById("clearData");
 const serverConfigButton = document.getElementById("openServerConfig");
 const serverBaseUrlPreview = document.getElementById("serverBaseUrlPreview");
+const verifyAnswersInput = document.getElementById("verifyAnswers");
+const fillModeGroup = document.getElementById("fillMode");
+const privacyModeGroup = document.getElementById("privacyMode");
+const privacyRoles = document.getElementById("privacyRoles");
+const sensitiveForm = document.getElementById("sensitiveForm");
+const sensitiveTermsInput = document.getElementById("sensitiveTerms");
+const siteList = document.getElementById("siteList");
+const blockSiteForm = document.getElementById("blockSiteForm");
+const blockSiteInput = document.getElementById("blockSiteInput");
+const refreshProfileButton = document.getElementById("refreshProfile");
+const profileForm = document.getElementById("profileForm");
+const profileFields = document.getElementById("profileFields");
+const profileStatus = document.getElementById("profileStatus");
 const toast = document.getElementById("toast");
 
 const DEFAULT_SERVER = "http://localhost:3000";
+const MAX_DOCUMENT_CHARS = 500000;
+// Original bytes are kept so file inputs (resume, transcript...) can be filled with the real file
+const MAX_STORED_FILE_BYTES = 10 * 1024 * 1024;
+const DOCUMENT_KINDS = [
+  ["resume", "Resume / CV"],
+  ["transcript", "Transcript"],
+  ["cover-letter", "Cover letter"],
+  ["other", "Other"]
+];
+const DEFAULT_FILL_MODE = "empty-only";
+const FILL_MODE_MESSAGES = {
+  "empty-only": "Only empty fields will be filled.",
+  ask: "Fields with a value will be suggested for your confirmation.",
+  overwrite: "Every field will get a suggestion."
+};
+const DEFAULT_PRIVACY_MODE = "redacted-cloud";
+const PRIVACY_MODE_MESSAGES = {
+  "redacted-cloud": "Cloud models are allowed; personal details are redacted first.",
+  "local-only": "Cloud models are blocked."
+};
 let documents = [];
+let profile = null;
 let toastTimer = null;
 let serverBaseUrl = DEFAULT_SERVER;
 
@@ -45,6 +79,16 @@ const showToast = message => {
   }, 4000);
 };
 
+const fileStorageKey = id => `documentFile:${id}`;
+
+const guessDocumentKind = name => {
+  const lower = name.toLowerCase();
+  if (/resume|résumé|\bcv\b|curriculum/.test(lower)) return "resume";
+  if (/transcript|grades/.test(lower)) return "transcript";
+  if (/cover/.test(lower)) return "cover-letter";
+  return "other";
+};
+
 const renderDocuments = () => {
   documentList.innerHTML = "";
 
@@ -74,16 +118,39 @@ const renderDocuments = () => {
 
     info.append(name, meta);
 
+    if (doc.lowConfidencePages?.length) {
+      const warning = document.createElement("span");
+      warning.className = "document__warning";
+      warning.textContent = `Low OCR quality on page(s) ${doc.lowConfidencePages.join(", ")}. Check the scan or re-upload a clearer copy.`;
+      info.appendChild(warning);
+    }
+
     const actions = document.createElement("div");
     actions.className = "document__actions";
 
+    // The kind decides which upload fields this document's original file is attached to
+    if (doc.hasFile) {
+      const kindSelect = document.createElement("select");
+      kindSelect.className = "document__select";
+      kindSelect.title = "Attach this file to upload fields asking for...";
+      DOCUMENT_KINDS.forEach(([value, label]) => kindSelect.add(new Option(label, value)));
+      kindSelect.value = doc.kind || guessDocumentKind(doc.name || "");
+      kindSelect.addEventListener("change", async () => {
+        documents = documents.map(item => (item.id === doc.id ? { ...item, kind: kindSelect.value } : item));
+        await storageSet({ documents });
+        showToast(`${doc.name} marked as ${kindSelect.selectedOptions[0].text.toLowerCase()}.`);
+      });
+      actions.appendChild(kindSelect);
+    }
+
     const removeButton = document.createElement("button");
     removeButton.className = "document__button";
     removeButton.textContent = "Remove";
     removeButton.addEventListener("click", () => {
       documents = documents.filter(item => item.id !== doc.id);
-      storageSet({ documents }).then(() => {
+      Promise.all([storageSet({ documents }), storageRemove([fileStorageKey(doc.id)])]).then(() => {
         renderDocuments();
+        renderProfile();
         showToast("Document removed.");
       });
     });
@@ -94,6 +161,105 @@ const renderDocuments = () => {
   });
 };
 
+const documentsSignature = () => documents.map(doc => doc.id).join("|");
+
+const describeSource = source =>
+  source ? `From ${source.document || "your documents"}${source.page ? `, page ${source.page}` : ""}` : "";
+
+const renderProfile = () => {
+  profileFields.innerHTML = "";
+
+  if (!profile?.fields?.length) {
+    profileForm.hidden = true;
+    profileStatus.textContent = documents.length
+      ? "No profile yet. Extract it from your documents to review the values."
+      : "Add documents first, then extract your profile from them.";
+    return;
+  }
+
+  profile.fields.forEach(({ key, label }) => {
+    const field = document.createElement("label");
+    field.className = "field";
+
+    const caption = document.createElement("span");
+    caption.className = "field__label";
+    caption.textContent = label;
+
+    const input = document.createElement("input");
+    input.className = "field__input";
+    input.name = key;
+    input.value = profile.values?.[key] ?? "";
+
+    field.append(caption, input);
+
+    const sourceText = describeSource(profile.sources?.[key]);
+    if (sourceText) {
+      const hint = document.createElement("span");
+      hint.className = "field__hint";
+      hint.textContent = sourceText;
+      field.appendChild(hint);
+    }
+
+    profileFields.appendChild(field);
+  });
+
+  const extracted = profile.extractedAt ? new Date(profile.extractedAt).toLocaleString() : "an unknown date";
+  const stale = profile.documentsSignature !== documentsSignature();
+  profileStatus.textContent = [
+    `Extracted ${extracted}${profile.edited ? ", edited by you" : ""}.`,
+    stale ? "Your documents changed since then; extract again to pick up the changes." : ""
+  ]
+    .filter(Boolean)
+    .join(" ");
+  profileForm.hidden = false;
+};
+
+const handleRefreshProfile = async () => {
+  if (profile?.edited && !window.confirm("Re-extracting replaces the profile values you edited. Continue?")) {
+    return;
+  }
+
+  refreshProfileButton.disabled = true;
+  showToast("Extracting profile from your documents...");
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: "refresh-profile" });
+    if (!response?.success) {
+      throw new Error(response?.error || "Profile extraction failed.");
+    }
+
+    profile = response.profile;
+    renderProfile();
+    showToast("Profile extracted. Review the values below.");
+  } catch (error) {
+    console.error("Profile extraction failed", error);
+    showToast(error.message || "Profile extraction failed.");
+  } finally {
+    refreshProfileButton.disabled = false;
+  }
+};
+
+const handleSaveProfile = async event => {
+  event.preventDefault();
+  if (!profile) return;
+
+  const values = { ...profile.values };
+  const sources = { ...profile.sources };
+  profileFields.querySelectorAll("input").forEach(input => {
+    const value = input.value.trim() || null;
+    if (value !== (values[input.name] ?? null)) {
+      // A hand-edited value no longer comes from the cited document
+      sources[input.name] = null;
+    }
+    values[input.name] = value;
+  });
+
+  profile = { ...profile, values, sources, edited: true };
+  await storageSet({ profile });
+  renderProfile();
+  showToast("Profile saved.");
+};
+
 const updateServerPreview = () => {
   if (serverBaseUrlPreview) {
     serverBaseUrlPreview.textContent = serverBaseUrl || DEFAULT_SERVER;
@@ -108,14 +274,30 @@ const readFileAsText = file =>
     reader.readAsText(file);
   });
 
-const extractPdfText = async file => {
+const readFileAsBase64 = file =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || "").replace(/^data:[^,]*,/, ""));
+    reader.onerror = () => reject(reader.error || new Error("Unable to read file."));
+    reader.readAsDataURL(file);
+  });
+
+const PLAIN_TEXT_EXTENSIONS = new Set(["txt", "md", "json", "csv", "log"]);
+
+const isPlainTextFile = file => {
+  const extension = file.name.toLowerCase().split(".").pop();
+  return PLAIN_TEXT_EXTENSIONS.has(extension);
+};
+
+// Everything except plain text goes to the server, which detects the format
+const extractTextOnServer = async file => {
   const baseUrl = normalizeBaseUrl(serverBaseUrl);
   const formData = new FormData();
   formData.append("file", file);
 
   let response;
   try {
-    response = await fetch(`${baseUrl.replace(/\/+$/, "")}/api/extract-pdf`, {
+    response = await fetch(`${baseUrl.replace(/\/+$/, "")}/api/extract`, {
       method: "POST",
       body: formData
     });
@@ -127,11 +309,15 @@ const extractPdfText = async file => {
 
   if (!response.ok) {
     const payload = await response.json().catch(() => ({}));
-    throw new Error(payload.error || `PDF extraction failed with ${response.status}.`);
+    throw new Error(payload.error || `Document extraction failed with ${response.status}.`);
   }
 
   const data = await response.json();
-  return (data.text || "").trim();
+  return {
+    text: (data.text || "").trim(),
+    format: data.format || "text",
+    lowConfidencePages: Array.isArray(data.lowConfidencePages) ? data.lowConfidencePages : []
+  };
 };
 
 const handleDocumentUpload = async event => {
@@ -141,28 +327,47 @@ const handleDocumentUpload = async event => {
   }
 
   try {
-    const isPdf =
-      file.type === "application/pdf" || file.name.toLowerCase().endsWith(".pdf");
-
     showToast(`Processing ${file.name}...`);
-    const content = isPdf ? await extractPdfText(file) : await readFileAsText(file);
+    const { text: content, format, lowConfidencePages = [] } = isPlainTextFile(file)
+      ? { text: await readFileAsText(file), format: file.type || "text" }
+      : await extractTextOnServer(file);
 
     if (!content.trim()) {
       throw new Error("No text detected in the selected document.");
     }
 
+    const hasFile = file.size <= MAX_STORED_FILE_BYTES;
     const docRecord = {
       id: crypto.randomUUID ? crypto.randomUUID() : `doc-${Date.now()}`,
       name: file.name,
-      type: isPdf ? "pdf" : file.type || "text",
+      type: format,
+      kind: guessDocumentKind(file.name),
+      hasFile,
+      lowConfidencePages,
       size: file.size,
-      content: content.slice(0, 20000)
+      content: content.slice(0, MAX_DOCUMENT_CHARS)
     };
 
+    if (hasFile) {
+      await storageSet({
+        [fileStorageKey(docRecord.id)]: {
+          name: file.name,
+          type: file.type || "application/octet-stream",
+          size: file.size,
+          data: await readFileAsBase64(file)
+        }
+      });
+    }
+
     documents = [...documents, docRecord];
     await storageSet({ documents });
     renderDocuments();
-    showToast(`${file.name} stored.`);
+    renderProfile();
+    showToast(
+      lowConfidencePages.length
+        ? `${file.name} stored, but OCR quality is low on page(s) ${lowConfidencePages.join(", ")}.`
+        : `${file.name} stored.`
+    );
   } catch (error) {
     console.error("Document upload failed", error);
     showToast(error.message || "Failed to process document.");
@@ -171,6 +376,178 @@ const handleDocumentUpload = async event => {
   }
 };
 
+const renderFillMode = mode => {
+  const selected = FILL_MODE_MESSAGES[mode] ? mode : DEFAULT_FILL_MODE;
+  fillModeGroup.querySelectorAll("input[name='fillMode']").forEach(input => {
+    input.checked = input.value === selected;
+  });
+};
+
+const renderPrivacyMode = mode => {
+  const selected = PRIVACY_MODE_MESSAGES[mode] ? mode : DEFAULT_PRIVACY_MODE;
+  privacyModeGroup.querySelectorAll("input[name='privacyMode']").forEach(input => {
+    input.checked = input.value === selected;
+  });
+};
+
+const describeRole = ({ role, provider, cloud }) => {
+  const where = cloud === null ? "unavailable" : cloud ? "cloud" : "on this computer";
+  return `${role[0].toUpperCase()}${role.slice(1)}: ${provider} (${where})`;
+};
+
+// Without a mode this only reads the server's state; background re-sends the mode before every run
+const syncPrivacyMode = async mode => {
+  try {
+    const response = await fetch(`${normalizeBaseUrl(serverBaseUrl)}/api/privacy`, {
+      method: mode ? "PUT" : "GET",
+      headers: { "Content-Type": "application/json" },
+      ...(mode ? { body: JSON.stringify({ mode }) } : {})
+    });
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+    const { roles = [] } = await response.json();
+    privacyRoles.textContent = roles.map(describeRole).join(" · ");
+    return true;
+  } catch (error) {
+    privacyRoles.textContent = "The server is unreachable; the setting is applied on the next autofill.";
+    return false;
+  }
+};
+
+const parseSensitiveTerms = text =>
+  Array.from(
+    new Set(
+      text
+        .split("\n")
+        .map(term => term.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  );
+
+const handleSaveSensitiveTerms = async event => {
+  event.preventDefault();
+  const sensitiveTerms = parseSensitiveTerms(sensitiveTermsInput.value);
+  await storageSet({ sensitiveTerms });
+  sensitiveTermsInput.value = sensitiveTerms.join("\n");
+  showToast(
+    sensitiveTerms.length ? `Skipping ${sensitiveTerms.length} extra sensitive term(s).` : "Using the built-in sensitive fields only."
+  );
+};
+
+// Sites the user allowed or blocked; allowed ones also hold Chrome's host permission
+let siteAccess = {};
+const SITE_ACCESS_LABELS = { allow: "Allowed", deny: "Blocked" };
+
+const toOriginPattern = origin => `${origin}/*`;
+
+const parseOrigin = value => {
+  try {
+    const url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+    return /^https?:$/.test(url.protocol) ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveSiteAccess = async next => {
+  siteAccess = next;
+  await storageSet({ siteAccess });
+  renderSites();
+};
+
+const allowSite = async origin => {
+  // Chrome only grants host access while handling a click, so ask before anything else
+  const granted = await chrome.permissions.request({ origins: [toOriginPattern(origin)] }).catch(() => false);
+  if (!granted) {
+    showToast(`Chrome did not grant access to ${origin}.`);
+    return;
+  }
+  await saveSiteAccess({ ...siteAccess, [origin]: "allow" });
+  showToast(`Autofill allowed on ${origin}.`);
+};
+
+const blockSite = async origin => {
+  await chrome.permissions.remove({ origins: [toOriginPattern(origin)] }).catch(() => false);
+  await saveSiteAccess({ ...siteAccess, [origin]: "deny" });
+  showToast(`Autofill blocked on ${origin}.`);
+};
+
+const forgetSite = async origin => {
+  await chrome.permissions.remove({ origins: [toOriginPattern(origin)] }).catch(() => false);
+  const next = { ...siteAccess };
+  delete next[origin];
+  await saveSiteAccess(next);
+  showToast(`${origin} will ask again before the next autofill.`);
+};
+
+const renderSites = () => {
+  siteList.innerHTML = "";
+  const origins = Object.keys(siteAccess).sort();
+
+  if (!origins.length) {
+    const empty = document.createElement("li");
+    empty.className = "document";
+    empty.textContent = "No sites yet. Autofill asks before it runs on a new site.";
+    siteList.appendChild(empty);
+    return;
+  }
+
+  origins.forEach(origin => {
+    const allowed = siteAccess[origin] === "allow";
+    const item = document.createElement("li");
+    item.className = "document";
+
+    const info = document.createElement("div");
+    info.className = "document__info";
+
+    const name = document.createElement("span");
+    name.className = "document__name";
+    name.textContent = origin;
+
+    const meta = document.createElement("span");
+    meta.className = "document__meta";
+    meta.textContent = SITE_ACCESS_LABELS[siteAccess[origin]] || "Unknown";
+
+    info.append(name, meta);
+
+    const actions = document.createElement("div");
+    actions.className = "document__actions";
+
+    const toggleButton = document.createElement("button");
+    toggleButton.className = "ghost-button";
+    toggleButton.textContent = allowed ? "Block" : "Allow";
+    toggleButton.addEventListener("click", () => {
+      if (allowed) {
+        blockSite(origin);
+      } else {
+        allowSite(origin);
+      }
+    });
+
+    const forgetButton = document.createElement("button");
+    forgetButton.className = "document__button";
+    forgetButton.textContent = "Forget";
+    forgetButton.addEventListener("click", () => {
+      forgetSite(origin);
+    });
+
+    actions.append(toggleButton, forgetButton);
+    item.append(info, actions);
+    siteList.appendChild(item);
+  });
+};
+
+const handleBlockSite = async event => {
+  event.preventDefault();
+  const origin = parseOrigin(blockSiteInput.value.trim());
+  if (!origin) {
+    showToast("Enter a web address such as https://jobs.example.com.");
+    return;
+  }
+  await blockSite(origin);
+  blockSiteInput.value = "";
+};
+
 const handleClearData = async () => {
   const confirmClear = window.confirm(
     "Remove all stored profile and documents? This action cannot be undone."
@@ -179,27 +556,100 @@ const handleClearData = async () => {
     return;
   }
 
-  await storageRemove(["documents", "serverBaseUrl"]);
+  await storageRemove([
+    "documents",
+    "profile",
+    "serverBaseUrl",
+    "verifyAnswers",
+    "fillMode",
+    "sensitiveTerms",
+    "siteAccess",
+    "privacyMode",
+    ...documents.map(doc => fileStorageKey(doc.id))
+  ]);
+  const allowedOrigins = Object.keys(siteAccess).filter(origin => siteAccess[origin] === "allow");
+  if (allowedOrigins.length) {
+    await chrome.permissions.remove({ origins: allowedOrigins.map(toOriginPattern) }).catch(() => false);
+  }
+  siteAccess = {};
+  renderSites();
+  verifyAnswersInput.checked = false;
+  renderFillMode(DEFAULT_FILL_MODE);
+  renderPrivacyMode(DEFAULT_PRIVACY_MODE);
+  sensitiveTermsInput.value = "";
+  profile = null;
   serverBaseUrl = DEFAULT_SERVER;
   updateServerPreview();
   documents = [];
   renderDocuments();
+  renderProfile();
   showToast("All extension data cleared.");
 };
 
 const loadState = async () => {
-  const state = await storageGet(["serverBaseUrl", "documents"]);
+  const state = await storageGet([
+    "serverBaseUrl",
+    "documents",
+    "profile",
+    "verifyAnswers",
+    "fillMode",
+    "sensitiveTerms",
+    "siteAccess",
+    "privacyMode"
+  ]);
   serverBaseUrl = normalizeBaseUrl(state.serverBaseUrl || DEFAULT_SERVER);
   if (serverBaseUrl !== state.serverBaseUrl) {
     storageSet({ serverBaseUrl });
   }
 
   documents = Array.isArray(state.documents) ? state.documents : [];
+  profile = state.profile || null;
+  verifyAnswersInput.checked = Boolean(state.verifyAnswers);
+  renderFillMode(state.fillMode);
+  renderPrivacyMode(state.privacyMode);
+  sensitiveTermsInput.value = (Array.isArray(state.sensitiveTerms) ? state.sensitiveTerms : []).join("\n");
+  siteAccess = state.siteAccess && typeof state.siteAccess === "object" ? state.siteAccess : {};
+  renderSites();
   renderDocuments();
+  renderProfile();
   updateServerPreview();
+  syncPrivacyMode();
 };
 
 documentFileInput.addEventListener("change", handleDocumentUpload);
+verifyAnswersInput.addEventListener("change", async () => {
+  await storageSet({ verifyAnswers: verifyAnswersInput.checked });
+  showToast(verifyAnswersInput.checked ? "Answer verification enabled." : "Answer verification disabled.");
+});
+fillModeGroup.addEventListener("change", async event => {
+  const mode = event.target.value;
+  if (!FILL_MODE_MESSAGES[mode]) return;
+  await storageSet({ fillMode: mode });
+  showToast(FILL_MODE_MESSAGES[mode]);
+});
+privacyModeGroup.addEventListener("change", async event => {
+  const mode = event.target.value;
+  if (!PRIVACY_MODE_MESSAGES[mode]) return;
+  await storageSet({ privacyMode: mode });
+  await syncPrivacyMode(mode);
+  showToast(PRIVACY_MODE_MESSAGES[mode]);
+});
+sensitiveForm.addEventListener("submit", handleSaveSensitiveTerms);
+blockSiteForm.addEventListener("submit", handleBlockSite);
+refreshProfileButton.addEventListener("click", handleRefreshProfile);
+profileForm.addEventListener("submit", handleSaveProfile);
+// Autofill re-extracts the profile in the background when documents change
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.profile) {
+    profile = changes.profile.newValue || null;
+    renderProfile();
+  }
+  // The popup records sites as they are allowed or blocked
+  if (area === "local" && changes.siteAccess) {
+    siteAccess = changes.siteAccess.newValue || {};
+    renderSites();
+  }
+});
 clearDataButton.addEventListener("click", event => {
   event.preventDefault();
   handleClearData();
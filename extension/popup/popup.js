@@ -1,7 +1,17 @@
 const runButton = document.getElementById("runAutofill");
+const followButton = document.getElementById("followApplication");
+const undoButton = document.getElementById("undoAutofill");
 const optionsButton = document.getElementById("openOptions");
 const statusContainer = document.getElementById("statusContainer");
 const statusMessage = document.getElementById("statusMessage");
+const hiddenWarning = document.getElementById("hiddenWarning");
+const hiddenFieldList = document.getElementById("hiddenFieldList");
+const siteConsent = document.getElementById("siteConsent");
+const consentMessage = document.getElementById("consentMessage");
+const consentDocuments = document.getElementById("consentDocuments");
+const consentEmbedded = document.getElementById("consentEmbedded");
+const allowSiteButton = document.getElementById("allowSite");
+const blockSiteButton = document.getElementById("blockSite");
 
 const setStatus = (message, type = "info") => {
   if (!message) {
@@ -15,15 +25,59 @@ const setStatus = (message, type = "info") => {
   statusMessage.dataset.type = type;
 };
 
+const HIDDEN_REASONS = {
+  "zero size": "too small to see",
+  transparent: "transparent",
+  clipped: "clipped out of view",
+  "off-screen": "positioned off-screen"
+};
+
+// Zero-size, transparent, clipped and off-screen fields are listed so the user knows the page has them
+const renderHiddenWarning = (hidden = []) => {
+  hiddenFieldList.replaceChildren(
+    ...hidden.map(({ label, reason }) => {
+      const item = document.createElement("li");
+      item.textContent = `${label} (${HIDDEN_REASONS[reason] || reason})`;
+      return item;
+    })
+  );
+  hiddenWarning.hidden = !hidden.length;
+};
+
+let following = false;
+
+const renderFollowState = () => {
+  followButton.textContent = following ? "Stop following" : "Follow this application";
+};
+
+// Suggestions wait in the page overlay; nothing has been written yet
+const describeOutcome = response => {
+  const parts = [
+    response.fromProfile
+      ? `${response.suggested} suggestion(s) ready to review on the page, ${response.fromProfile} from your profile.`
+      : `${response.suggested} suggestion(s) ready to review on the page.`
+  ];
+  if (response.attached) parts.push(`${response.attached} file(s) to attach.`);
+  if (response.lowConfidence) parts.push(`${response.lowConfidence} low-confidence answer(s) are marked.`);
+  if (response.needsInput) parts.push(`${response.needsInput} field(s) need your input.`);
+  if (response.kept) parts.push(`${response.kept} field(s) you already filled were left alone.`);
+  if (response.sensitiveSkipped?.length) {
+    parts.push(`Sensitive fields were skipped: ${response.sensitiveSkipped.join(", ")}.`);
+  }
+  return parts.join(" ");
+};
+
 const runAutofill = async () => {
   runButton.disabled = true;
   setStatus("Running autofill...");
+  renderHiddenWarning();
 
   try {
     const response = await chrome.runtime.sendMessage({ type: "run-autofill" });
 
     if (response?.success) {
-      setStatus(`Filled ${response.filled} field(s).`, "success");
+      setStatus(describeOutcome(response), "success");
+      renderHiddenWarning(response.hiddenSkipped);
     } else {
       throw new Error(response?.error || "Autofill failed.");
     }
@@ -35,10 +89,173 @@ const runAutofill = async () => {
   }
 };
 
+const undoAutofill = async () => {
+  undoButton.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: "undo-autofill" });
+    if (!response?.success) {
+      throw new Error(response?.error || "Unable to undo autofill.");
+    }
+
+    const failed = response.failed || [];
+    const message = [
+      response.restored ? `Restored ${response.restored} field(s) to their previous values.` : "",
+      failed.length ? `Could not undo ${failed.join(", ")}; change them yourself.` : ""
+    ]
+      .filter(Boolean)
+      .join(" ");
+    setStatus(message || "Nothing to undo on this page.", failed.length ? "error" : message ? "success" : "info");
+  } catch (error) {
+    console.error("Undo failed", error);
+    setStatus(error.message || "Unable to undo autofill.", "error");
+  } finally {
+    undoButton.disabled = false;
+  }
+};
+
+// The extension only runs on sites the user allowed; the first run on a site asks once
+let consentRequest = null;
+
+const hideConsent = () => {
+  consentRequest = null;
+  siteConsent.hidden = true;
+};
+
+const showConsent = (access, action) => {
+  consentRequest = { access, action };
+  consentMessage.textContent = `Allow autofill on ${access.origin}? These documents will be shared with the model to fill forms on this site:`;
+
+  const names = access.documents?.length ? access.documents : ["No documents stored yet"];
+  consentDocuments.replaceChildren(
+    ...names.map(name => {
+      const item = document.createElement("li");
+      item.textContent = name;
+      return item;
+    })
+  );
+
+  const embedded = access.pending.filter(origin => origin !== access.origin);
+  consentEmbedded.hidden = !embedded.length;
+  consentEmbedded.textContent = embedded.length
+    ? `Forms embedded from ${embedded.join(", ")} are included.`
+    : "";
+
+  setStatus("");
+  siteConsent.hidden = false;
+};
+
+// Runs action once every origin in the tab is allowed, showing the confirmation first if needed
+const withSiteAccess = async action => {
+  const access = await chrome.runtime.sendMessage({ type: "get-site-access" }).catch(() => null);
+
+  if (!access || access.status === "unsupported") {
+    setStatus("Autofill only works on web pages.", "error");
+    return;
+  }
+  if (access.status === "denied") {
+    setStatus(`Autofill is blocked on ${access.origin}. Change this under "Sites" in the settings.`, "error");
+    return;
+  }
+  if (access.pending.length) {
+    showConsent(access, action);
+    return;
+  }
+
+  action();
+};
+
+const allowSite = async () => {
+  if (!consentRequest) return;
+  const { access, action } = consentRequest;
+
+  // Chrome only shows its permission prompt while handling the click, so this must come first
+  const granted = await chrome.permissions
+    .request({ origins: access.pending.map(origin => `${origin}/*`) })
+    .catch(() => false);
+  if (!granted) {
+    hideConsent();
+    setStatus("Chrome did not grant access to this site, so nothing was filled.", "error");
+    return;
+  }
+
+  await chrome.runtime.sendMessage({ type: "set-site-access", origins: access.pending, decision: "allow" });
+  hideConsent();
+  action();
+};
+
+const blockSite = async () => {
+  if (!consentRequest) return;
+  const { origin } = consentRequest.access;
+
+  await chrome.runtime.sendMessage({ type: "set-site-access", origins: [origin], decision: "deny" });
+  hideConsent();
+  setStatus(`Autofill is now blocked on ${origin}. Change this under "Sites" in the settings.`);
+};
+
+// Follow mode keeps suggesting answers for new steps of a multi-page application until you leave the site
+const toggleFollow = async () => {
+  followButton.disabled = true;
+
+  try {
+    if (following) {
+      await chrome.runtime.sendMessage({ type: "stop-follow" });
+      following = false;
+      setStatus("Stopped following this application.");
+      return;
+    }
+
+    setStatus("Following this application...");
+    const response = await chrome.runtime.sendMessage({ type: "start-follow" });
+    if (!response?.success) {
+      throw new Error(response?.error || "Unable to follow this application.");
+    }
+
+    following = true;
+    setStatus(`${describeOutcome(response)} New steps will be suggested as they appear.`, "success");
+    renderHiddenWarning(response.hiddenSkipped);
+  } catch (error) {
+    console.error("Follow mode failed", error);
+    setStatus(error.message || "Unable to follow this application.", "error");
+  } finally {
+    followButton.disabled = false;
+    renderFollowState();
+  }
+};
+
+const loadFollowState = async () => {
+  const response = await chrome.runtime.sendMessage({ type: "get-follow-state" }).catch(() => null);
+  following = Boolean(response?.following);
+  renderFollowState();
+};
+
+followButton.addEventListener("click", () => {
+  // Stopping never needs site access
+  if (following) {
+    toggleFollow();
+  } else {
+    withSiteAccess(toggleFollow);
+  }
+});
+
 runButton.addEventListener("click", () => {
-  runAutofill();
+  withSiteAccess(runAutofill);
+});
+
+allowSiteButton.addEventListener("click", () => {
+  allowSite();
+});
+
+blockSiteButton.addEventListener("click", () => {
+  blockSite();
+});
+
+undoButton.addEventListener("click", () => {
+  undoAutofill();
 });
 
 optionsButton.addEventListener("click", () => {
   chrome.runtime.openOptionsPage();
 });
+
+loadFollowState();
@@ -0,0 +1,347 @@
+// In-page review of autofill suggestions. Runs in the top frame only (the background sends
+// "show-review" to frame 0); fields in other frames are filled and focused through the background.
+// The panel lives in a closed shadow root so page styles can't reach it and field collection,
+// which walks open shadow roots, never sees its inputs.
+const REVIEW_HOST_ID = "application-assistant-review";
+
+const REVIEW_STYLES = `
+  :host { all: initial; }
+  .panel {
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    z-index: 2147483647;
+    width: 360px;
+    max-height: 70vh;
+    display: flex;
+    flex-direction: column;
+    background: #fff;
+    color: #0f172a;
+    border: 1px solid #e2e8f0;
+    border-radius: 10px;
+    box-shadow: 0 12px 32px rgba(15, 23, 42, 0.2);
+    font: 13px/1.4 "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+  }
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 12px;
+    border-bottom: 1px solid #e2e8f0;
+  }
+  .title { flex: 1; margin: 0; font-size: 14px; font-weight: 600; color: #0369a1; }
+  .body { overflow-y: auto; padding: 8px 12px 12px; }
+  .section-title {
+    margin: 8px 0 6px;
+    font-size: 11px;
+    text-transform: uppercase;
+    letter-spacing: 0.04em;
+    color: #64748b;
+  }
+  .list { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 8px; }
+  .item { display: flex; flex-direction: column; gap: 4px; padding: 8px; border: 1px solid #e2e8f0; border-radius: 8px; }
+  .item--low { background: #fff7ed; border-color: #fed7aa; }
+  .question {
+    all: unset;
+    cursor: pointer;
+    color: #334155;
+    font-weight: 600;
+    word-break: break-word;
+  }
+  .question:hover { text-decoration: underline; }
+  .value {
+    box-sizing: border-box;
+    width: 100%;
+    padding: 6px 8px;
+    border: 1px solid #cbd5e1;
+    border-radius: 6px;
+    font: inherit;
+    color: inherit;
+    background: #fff;
+  }
+  .value[readonly] { background: #f8fafc; }
+  .source { margin: 0; color: #64748b; font-size: 12px; word-break: break-word; }
+  .warning { margin: 0; color: #b45309; font-size: 12px; }
+  .error { margin: 0; color: #dc2626; font-size: 12px; }
+  .actions { display: flex; gap: 6px; }
+  .button {
+    appearance: none;
+    border: none;
+    border-radius: 6px;
+    padding: 5px 10px;
+    background: #0284c7;
+    color: #fff;
+    font: inherit;
+    font-weight: 600;
+    cursor: pointer;
+  }
+  .button:disabled { opacity: 0.6; cursor: not-allowed; }
+  .button--secondary { background: #e2e8f0; color: #0f172a; }
+  .check { flex-direction: row; align-items: flex-start; gap: 6px; }
+  .check--done .question { color: #94a3b8; text-decoration: line-through; }
+  .empty { margin: 4px 0; color: #64748b; }
+  .notice { margin: 4px 0 0; padding: 6px 8px; border-radius: 6px; background: #f0f9ff; color: #0369a1; }
+`;
+
+// fieldId -> { kind: "suggestion" | "needs-input", item, value, done, error }
+const reviewItems = new Map();
+let reviewHost = null;
+let reviewRoot = null;
+let reviewNotice = "";
+
+const createNode = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+};
+
+const createButton = (label, onClick, secondary = false) => {
+  const button = createNode("button", secondary ? "button button--secondary" : "button", label);
+  button.type = "button";
+  button.addEventListener("click", onClick);
+  return button;
+};
+
+const describeReviewSource = source => {
+  if (!source) return "Not found verbatim in your documents";
+  const location = [source.document, source.page ? `page ${source.page}` : ""].filter(Boolean).join(", ");
+  const origin = location ? `${source.label}: ${location}` : source.label;
+  return source.quote ? `${origin} — “${source.quote}”` : origin;
+};
+
+const jumpToField = fieldId => {
+  chrome.runtime.sendMessage({ type: "review-focus", fieldId }).catch(() => undefined);
+};
+
+const pendingSuggestions = () =>
+  Array.from(reviewItems.entries()).filter(([, entry]) => entry.kind === "suggestion" && !entry.done);
+
+const decide = async (fieldId, decision) => {
+  const entry = reviewItems.get(fieldId);
+  if (!entry || entry.busy) return;
+
+  entry.busy = true;
+  entry.error = "";
+  reviewNotice = "";
+  renderReview();
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "review-decision",
+      fieldId,
+      decision,
+      value: entry.value
+    });
+    if (!response?.success) throw new Error(response?.error || "Unable to fill this field.");
+    entry.done = true;
+  } catch (error) {
+    entry.error = error.message;
+  } finally {
+    entry.busy = false;
+  }
+
+  if (entry.kind === "suggestion" && entry.done) reviewItems.delete(fieldId);
+  renderReview();
+};
+
+// Low-confidence answers and ones that would replace an existing value are never accepted in bulk
+const isBulkAcceptable = entry => entry.item.confidence !== "low" && !entry.item.confirmOverwrite;
+
+const acceptConfident = async () => {
+  const confident = pendingSuggestions().filter(([, entry]) => isBulkAcceptable(entry));
+  for (const [fieldId] of confident) {
+    await decide(fieldId, "accept");
+  }
+};
+
+const undoLastRun = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: "undo-autofill" });
+    if (!response?.success) throw new Error(response?.error || "Unable to undo autofill.");
+    const failed = response.failed || [];
+    reviewNotice = [
+      response.restored ? `Restored ${response.restored} field(s) to their previous values.` : "",
+      failed.length ? `Could not undo ${failed.join(", ")}; change them yourself.` : ""
+    ]
+      .filter(Boolean)
+      .join(" ") || "Nothing to undo.";
+  } catch (error) {
+    reviewNotice = error.message;
+  }
+  renderReview();
+};
+
+const closeReviewOverlay = () => {
+  reviewItems.clear();
+  reviewNotice = "";
+  reviewHost?.remove();
+  reviewHost = null;
+  reviewRoot = null;
+  chrome.runtime.sendMessage({ type: "review-dismiss" }).catch(() => undefined);
+};
+
+// Option fields are edited with a picker, so an edited answer still names one of the field's
+// options and the page can look it up exactly. Multi-select answers use the content script's separator.
+const createOptionPicker = entry => {
+  const { item } = entry;
+  const picker = createNode("select", "value");
+  picker.multiple = item.multiple;
+
+  const wanted = (item.multiple ? entry.value.split(CHOICE_SEPARATOR) : [entry.value]).map(part =>
+    part.trim().toLowerCase()
+  );
+  const choices = item.options.map(option => {
+    const text = option.label || option.value;
+    const choice = createNode("option", "", text);
+    choice.value = text;
+    choice.selected = [option.label, option.value].some(candidate =>
+      wanted.includes(String(candidate || "").trim().toLowerCase())
+    );
+    return choice;
+  });
+  if (!item.multiple && !choices.some(choice => choice.selected)) {
+    const prompt = createNode("option", "", "Choose an option");
+    prompt.value = "";
+    prompt.selected = true;
+    choices.unshift(prompt);
+  }
+  picker.append(...choices);
+
+  picker.addEventListener("change", () => {
+    entry.value = Array.from(picker.selectedOptions, choice => choice.value).join(`${CHOICE_SEPARATOR} `);
+  });
+  return picker;
+};
+
+const createValueInput = entry => {
+  const input = createNode("input", "value");
+  input.value = entry.value;
+  input.readOnly = entry.item.isFile;
+  input.addEventListener("input", () => {
+    entry.value = input.value;
+  });
+  return input;
+};
+
+const renderSuggestion = (fieldId, entry) => {
+  const { item } = entry;
+  const node = createNode("li", item.confidence === "low" || item.confirmOverwrite ? "item item--low" : "item");
+
+  const question = createButton(item.question || fieldId, () => jumpToField(fieldId));
+  question.className = "question";
+  question.title = "Jump to this field";
+
+  const value = item.options?.length && !item.isFile ? createOptionPicker(entry) : createValueInput(entry);
+  value.setAttribute("aria-label", `Suggested value for ${item.question || fieldId}`);
+
+  node.append(question, value, createNode("p", "source", describeReviewSource(item.source)));
+
+  if (item.currentValue && item.currentValue !== item.value) {
+    node.append(createNode("p", "source", `Currently: ${item.currentValue}`));
+  }
+  if (item.confirmOverwrite) {
+    node.append(createNode("p", "warning", "This field already has a value — accepting replaces it."));
+  }
+  if (item.confidence === "low") {
+    node.append(createNode("p", "warning", "Low confidence — check this before accepting."));
+  }
+  if (entry.error) {
+    node.append(createNode("p", "error", entry.error));
+  }
+
+  const actions = createNode("div", "actions");
+  const accept = createButton("Accept", () => decide(fieldId, "accept"));
+  const reject = createButton("Reject", () => decide(fieldId, "reject"), true);
+  accept.disabled = reject.disabled = Boolean(entry.busy);
+  actions.append(accept, reject);
+  node.append(actions);
+
+  return node;
+};
+
+const renderNeedsInput = (fieldId, entry) => {
+  const node = createNode("li", entry.done ? "item check check--done" : "item check");
+
+  const checkbox = createNode("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = entry.done;
+  checkbox.disabled = entry.done || Boolean(entry.busy);
+  checkbox.setAttribute("aria-label", `Mark "${entry.item.question || fieldId}" as done`);
+  checkbox.addEventListener("change", () => decide(fieldId, "done"));
+
+  const question = createButton(entry.item.question || fieldId, () => jumpToField(fieldId));
+  question.className = "question";
+  question.title = "Jump to this field";
+
+  node.append(checkbox, question);
+  return node;
+};
+
+const renderReview = () => {
+  if (!reviewRoot) return;
+
+  const suggestions = pendingSuggestions();
+  const needsInput = Array.from(reviewItems.entries()).filter(([, entry]) => entry.kind === "needs-input");
+  const openInputs = needsInput.filter(([, entry]) => !entry.done).length;
+
+  const panel = createNode("section", "panel");
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "Review autofill suggestions");
+
+  const acceptAll = createButton("Accept confident", acceptConfident);
+  acceptAll.disabled = !suggestions.some(([, entry]) => isBulkAcceptable(entry));
+
+  const header = createNode("header", "header");
+  header.append(
+    createNode("h2", "title", `Review autofill (${suggestions.length + openInputs})`),
+    acceptAll,
+    createButton("Undo", undoLastRun, true),
+    createButton("Close", closeReviewOverlay, true)
+  );
+
+  const body = createNode("div", "body");
+  if (reviewNotice) body.append(createNode("p", "notice", reviewNotice));
+
+  body.append(createNode("h3", "section-title", "Suggestions"));
+  if (suggestions.length) {
+    const list = createNode("ul", "list");
+    suggestions.forEach(([fieldId, entry]) => list.append(renderSuggestion(fieldId, entry)));
+    body.append(list);
+  } else {
+    body.append(createNode("p", "empty", "Every suggestion has been accepted or rejected."));
+  }
+
+  if (needsInput.length) {
+    body.append(createNode("h3", "section-title", "Needs your input"));
+    const list = createNode("ul", "list");
+    needsInput.forEach(([fieldId, entry]) => list.append(renderNeedsInput(fieldId, entry)));
+    body.append(list);
+  }
+
+  panel.append(header, body);
+  reviewRoot.replaceChildren(createNode("style", "", REVIEW_STYLES), panel);
+};
+
+// Later calls (follow mode's next step) merge into the open review instead of replacing it
+const showReviewOverlay = ({ suggestions = [], needsInput = [] }) => {
+  suggestions.forEach(item => {
+    reviewItems.set(item.fieldId, { kind: "suggestion", item, value: item.value, done: false, error: "" });
+  });
+  needsInput.forEach(item => {
+    if (!reviewItems.has(item.fieldId)) {
+      reviewItems.set(item.fieldId, { kind: "needs-input", item, value: "", done: false, error: "" });
+    }
+  });
+
+  if (!reviewItems.size) return;
+
+  if (!reviewHost?.isConnected) {
+    reviewHost = document.createElement("div");
+    reviewHost.id = REVIEW_HOST_ID;
+    reviewRoot = reviewHost.attachShadow({ mode: "closed" });
+    document.documentElement.appendChild(reviewHost);
+  }
+
+  renderReview();
+};
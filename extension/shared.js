@@ -0,0 +1,35 @@
+// Helpers used by both the service worker and the content scripts. The worker imports this file and
+// the content scripts get it injected first; neither side can import the other, so it publishes onto
+// globalThis instead of exporting. The server imports it too, for maskSecrets.
+
+// IBANs, US social security numbers and card/account-length digit runs become [REDACTED] in logs
+globalThis.maskSecrets = text =>
+  String(text ?? "")
+    .replace(/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g, "[REDACTED]")
+    .replace(/\b\d{3}-\d{2}-\d{4}\b/g, "[REDACTED]")
+    .replace(/\b(?:\d[ -]?){12,18}\d\b/g, "[REDACTED]");
+
+// Whether a stored file fits an upload field. accept is a comma-separated list of extensions
+// (".pdf"), MIME types and wildcards ("image/*"); an empty accept takes anything.
+globalThis.matchesAccept = (accept, { name, type }) => {
+  const tokens = String(accept || "")
+    .split(",")
+    .map(token => token.trim().toLowerCase())
+    .filter(Boolean);
+  if (!tokens.length) return true;
+
+  const lowerName = String(name || "").toLowerCase();
+  const lowerType = String(type || "").toLowerCase();
+  return tokens.some(token => {
+    if (token.startsWith(".")) return lowerName.endsWith(token);
+    if (token.endsWith("/*")) return lowerType.startsWith(token.slice(0, -1));
+    return lowerType === token;
+  });
+};
+
+// Fields about someone other than the applicant: a reference's email or an emergency contact's
+// phone must never get the applicant's own details
+const OTHER_PERSON_PATTERN =
+  /\b(?:references?|referees?|recommenders?|emergency|next of kin|managers?|supervisors?|employers?|parents?|guardians?|spouse|partner|relatives?|advis[eo]rs?|mentors?|sponsors?)\b/i;
+
+globalThis.namesAnotherPerson = (...texts) => OTHER_PERSON_PATTERN.test(texts.filter(Boolean).join(" "));
@@ -0,0 +1,388 @@
+import { inflateRawSync } from "zlib";
+import { extractPdfLayout } from "./pdf-layout.js";
+import { recognizeImage } from "./ocr.js";
+
+// ---------------- Format Detection ----------------
+const EXTENSION_FORMATS = {
+  pdf: "pdf",
+  docx: "docx",
+  odt: "odt",
+  html: "html",
+  htm: "html",
+  xhtml: "html",
+  xml: "xml",
+  rtf: "rtf",
+  doc: "doc",
+  png: "image",
+  jpg: "image",
+  jpeg: "image",
+  txt: "text",
+  md: "text",
+  csv: "text",
+  json: "text",
+  log: "text"
+};
+
+export class UnsupportedFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedFormatError";
+  }
+}
+
+const startsWithBytes = (buffer, bytes) => bytes.every((byte, index) => buffer[index] === byte);
+
+// Magic bytes win over the file name; zip containers are told apart by their manifest
+export const detectFormat = (buffer, filename = "", mimetype = "") => {
+  if (startsWithBytes(buffer, [0x25, 0x50, 0x44, 0x46])) return "pdf";
+  if (startsWithBytes(buffer, [0xd0, 0xcf, 0x11, 0xe0])) return "doc";
+  if (buffer.slice(0, 5).toString("latin1") === "{\\rtf") return "rtf";
+  if (startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47])) return "image";
+  if (startsWithBytes(buffer, [0xff, 0xd8, 0xff])) return "image";
+
+  if (startsWithBytes(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    const entries = readZipEntries(buffer);
+    if (entries.has("word/document.xml")) return "docx";
+    if (entries.has("content.xml")) return "odt";
+    throw new UnsupportedFormatError("Unrecognised zip-based document. Upload DOCX or ODT files.");
+  }
+
+  const extension = filename.toLowerCase().split(".").pop();
+  if (EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension];
+
+  if (/html/.test(mimetype)) return "html";
+  if (/xml/.test(mimetype)) return "xml";
+  if (/^text\//.test(mimetype)) return "text";
+
+  const head = buffer.slice(0, 512).toString("utf8").trimStart().toLowerCase();
+  if (head.startsWith("<!doctype html") || head.startsWith("<html")) return "html";
+  if (head.startsWith("<?xml")) return "xml";
+
+  return "text";
+};
+
+// ---------------- Zip Reading ----------------
+// Minimal reader for the DOCX/ODT containers: walks the central directory and
+// inflates entries on demand. Stored (0) and deflated (8) entries are supported.
+// Every offset is checked against the buffer, so a truncated upload is reported as corrupt.
+const corruptZip = detail =>
+  new UnsupportedFormatError(`Corrupt zip archive: ${detail}. Re-save the document and upload it again.`);
+
+const readZipEntries = buffer => {
+  const entries = new Map();
+  const minEnd = Math.max(0, buffer.length - 65557);
+  let eocd = -1;
+  for (let offset = buffer.length - 22; offset >= minEnd; offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) throw corruptZip("no central directory found");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > buffer.length) throw corruptZip("central directory is truncated");
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.slice(offset + 46, offset + 46 + nameLength).toString("utf8");
+
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+const readZipEntry = (buffer, entries, name) => {
+  const entry = entries.get(name);
+  if (!entry) return null;
+
+  const { method, compressedSize, localOffset } = entry;
+  if (localOffset + 30 > buffer.length) throw corruptZip(`${name} is truncated`);
+  const dataStart =
+    localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  if (dataStart + compressedSize > buffer.length) throw corruptZip(`${name} is truncated`);
+  const data = buffer.slice(dataStart, dataStart + compressedSize);
+
+  if (method === 0) return data.toString("utf8");
+  if (method !== 8) throw new UnsupportedFormatError(`Unsupported zip compression method ${method} in ${name}.`);
+  try {
+    return inflateRawSync(data).toString("utf8");
+  } catch {
+    throw corruptZip(`${name} could not be decompressed`);
+  }
+};
+
+// ---------------- Markup Helpers ----------------
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  bull: "•",
+  rsquo: "’",
+  lsquo: "‘",
+  rdquo: "”",
+  ldquo: "“",
+  copy: "©",
+  reg: "®"
+};
+
+const decodeEntities = text =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+  });
+
+const dropTrailingCellSeparators = text => text.replace(/[ \t]*\|[ \t]*(?=\n|$)/g, "");
+
+const tidyLines = text =>
+  text
+    .split("\n")
+    .map(line => line.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// ---------------- Office Documents ----------------
+const extractDocxText = buffer => {
+  const entries = readZipEntries(buffer);
+  const xml = readZipEntry(buffer, entries, "word/document.xml") || "";
+
+  const text = xml
+    .replace(/<w:tc\b[\s\S]*?<\/w:tc>/g, cell => cell.replace(/<\/w:p>/g, " "))
+    .replace(/<w:tab\/>/g, "\t")
+    .replace(/<w:br[^>]*\/>/g, "\n")
+    .replace(/<\/w:tc>/g, " | ")
+    .replace(/<\/w:tr>/g, "\n")
+    .replace(/<\/w:p>/g, "\n")
+    .replace(/<[^>]+>/g, "");
+
+  return tidyLines(dropTrailingCellSeparators(decodeEntities(text)));
+};
+
+const extractOdtText = buffer => {
+  const entries = readZipEntries(buffer);
+  const xml = readZipEntry(buffer, entries, "content.xml") || "";
+
+  const text = xml
+    .replace(/<table:table-cell\b[\s\S]*?<\/table:table-cell>/g, cell => cell.replace(/<\/text:p>/g, " "))
+    .replace(/<office:annotation[\s\S]*?<\/office:annotation>/g, "")
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => " ".repeat(Number(count) || 1))
+    .replace(/<text:tab\s*\/>/g, "\t")
+    .replace(/<text:line-break\s*\/>/g, "\n")
+    .replace(/<\/table:table-cell>/g, " | ")
+    .replace(/<\/table:table-row>/g, "\n")
+    .replace(/<\/text:(p|h|list-item)>/g, "\n")
+    .replace(/<[^>]+>/g, "");
+
+  return tidyLines(dropTrailingCellSeparators(decodeEntities(text)));
+};
+
+// ---------------- Web Markup ----------------
+const HTML_BLOCK_TAGS =
+  "address|article|aside|blockquote|dd|div|dl|dt|fieldset|figcaption|figure|footer|form|header|hr|main|nav|ol|p|pre|section|table|tbody|thead|tfoot|ul";
+
+const extractHtmlText = markup => {
+  const text = markup
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<h([1-6])\b[^>]*>/gi, "\n\n")
+    .replace(/<\/h[1-6]>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/(td|th)>/gi, " | ")
+    .replace(/<\/tr>/gi, "\n")
+    .replace(new RegExp(`<\\/?(${HTML_BLOCK_TAGS})\\b[^>]*>`, "gi"), "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/[ \t]*\n[ \t]*/g, "\n");
+
+  return tidyLines(dropTrailingCellSeparators(decodeEntities(text)));
+};
+
+// Leaf elements become "name: value" lines so record-style XML keeps its structure
+const extractXmlText = markup => {
+  const body = markup
+    .replace(/<\?[\s\S]*?\?>/g, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"));
+
+  const lines = [];
+  const depthStack = [];
+  const tokenPattern = /<(\/?)([\w:.-]+)[^>]*?(\/?)>|([^<]+)/g;
+  let match;
+  let pendingName = null;
+
+  while ((match = tokenPattern.exec(body))) {
+    const [, closing, name, selfClosing, textNode] = match;
+
+    if (textNode !== undefined) {
+      const value = decodeEntities(textNode).replace(/\s+/g, " ").trim();
+      if (value) {
+        const label = pendingName ?? depthStack[depthStack.length - 1];
+        const indent = "  ".repeat(Math.max(0, depthStack.length - 1));
+        lines.push(label ? `${indent}${label.split(":").pop()}: ${value}` : value);
+        pendingName = null;
+      }
+      continue;
+    }
+
+    if (closing) {
+      depthStack.pop();
+      pendingName = null;
+    } else if (!selfClosing) {
+      if (pendingName) {
+        lines.push(`${"  ".repeat(Math.max(0, depthStack.length - 1))}${pendingName.split(":").pop()}:`);
+      }
+      depthStack.push(name);
+      pendingName = name;
+    }
+  }
+
+  return lines.join("\n").trim();
+};
+
+// ---------------- RTF ----------------
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  "fonttbl",
+  "colortbl",
+  "stylesheet",
+  "info",
+  "pict",
+  "header",
+  "footer",
+  "themedata",
+  "datastore",
+  "latentstyles",
+  "listtable",
+  "listoverridetable",
+  "rsidtbl",
+  "generator",
+  "xmlnstbl"
+]);
+
+const extractRtfText = source => {
+  const output = [];
+  const stack = [];
+  let skipping = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === "{") {
+      stack.push({ skipping, unicodeSkip });
+      index += 1;
+      continue;
+    }
+
+    if (char === "}") {
+      ({ skipping, unicodeSkip } = stack.pop() ?? { skipping: false, unicodeSkip: 1 });
+      index += 1;
+      continue;
+    }
+
+    if (char === "\\") {
+      const next = source[index + 1];
+
+      if (next === "'") {
+        if (pendingSkip > 0) pendingSkip -= 1;
+        else if (!skipping) output.push(Buffer.from([parseInt(source.substr(index + 2, 2), 16)]).toString("latin1"));
+        index += 4;
+        continue;
+      }
+
+      if (next === "*") {
+        skipping = true;
+        index += 2;
+        continue;
+      }
+
+      if (!/[a-z]/i.test(next ?? "")) {
+        if (!skipping && "\\{}".includes(next)) output.push(next);
+        if (!skipping && next === "~") output.push(" ");
+        index += 2;
+        continue;
+      }
+
+      const word = /^\\([a-z]+)(-?\d+)? ?/i.exec(source.slice(index, index + 40));
+      const [token, name, param] = word;
+      index += token.length;
+
+      if (RTF_SKIPPED_DESTINATIONS.has(name)) {
+        skipping = true;
+      } else if (name === "uc") {
+        unicodeSkip = Number(param) || 0;
+      } else if (name === "u" && !skipping) {
+        const code = Number(param);
+        output.push(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingSkip = unicodeSkip;
+      } else if (!skipping) {
+        if (name === "par" || name === "line" || name === "row") output.push("\n");
+        else if (name === "tab") output.push("\t");
+        else if (name === "cell") output.push(" | ");
+      }
+      continue;
+    }
+
+    if (char !== "\r" && char !== "\n") {
+      if (pendingSkip > 0) pendingSkip -= 1;
+      else if (!skipping) output.push(char);
+    }
+    index += 1;
+  }
+
+  return tidyLines(dropTrailingCellSeparators(output.join("")));
+};
+
+// ---------------- Images ----------------
+const extractImageText = async buffer => {
+  const { text, confidence } = await recognizeImage(buffer);
+  return { text, pages: [{ page: 1, text, ocr: true, confidence }] };
+};
+
+// ---------------- Dispatcher ----------------
+// Resolves to { text, pages }; pages is only set for paginated formats (PDF).
+export const extractDocument = async (buffer, format) => {
+  switch (format) {
+    case "pdf":
+      return extractPdfLayout(buffer);
+    case "image":
+      return extractImageText(buffer);
+    case "docx":
+      return { text: extractDocxText(buffer), pages: null };
+    case "odt":
+      return { text: extractOdtText(buffer), pages: null };
+    case "html":
+      return { text: extractHtmlText(buffer.toString("utf8")), pages: null };
+    case "xml":
+      return { text: extractXmlText(buffer.toString("utf8")), pages: null };
+    case "rtf":
+      return { text: extractRtfText(buffer.toString("latin1")), pages: null };
+    case "text":
+      return { text: buffer.toString("utf8").trim(), pages: null };
+    case "doc":
+      throw new UnsupportedFormatError("Legacy .doc files are not supported. Save the document as DOCX and upload it again.");
+    default:
+      throw new UnsupportedFormatError(`Unsupported document format "${format}".`);
+  }
+};
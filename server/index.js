@@ -2,41 +2,55 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import multer from "multer";
-import pdfParse from "pdf-parse";
-import OpenAI from "openai";
-import ollama from "ollama";
 import { randomUUID } from "crypto";
+import { LLM_ROLES, resolveRole, resolveRoleConfig } from "./providers.js";
+import { buildRetrievedContext } from "./retrieval.js";
+import { locateEvidence } from "./provenance.js";
+import { UnsupportedFormatError, detectFormat, extractDocument } from "./extractors.js";
+import { LOW_OCR_CONFIDENCE } from "./ocr.js";
+import { PROFILE_FIELDS, profileFieldDescriptors } from "./profile.js";
+import { CHOICE_SEPARATOR, buildAnswerSchema, hasOptions, matchOptions, optionText } from "./options.js";
+import { UNTRUSTED_TEXT_RULE, detectInjectedAnswer, quoteUntrusted } from "./untrusted.js";
+import {
+  DEFAULT_PRIVACY_MODE,
+  PRIVACY_MODES,
+  PrivacyModeError,
+  maskSecrets,
+  redactMessages,
+  restorePlaceholders
+} from "./privacy.js";
 
 const app = express();
 
 const initialPort = Number(process.env.PORT) || 3000;
-const apiKey = process.env.GEMINI_API_KEY;
-
-// Gemini client (Carson-Edits version — correct)
-const client = apiKey
-  ? new OpenAI({
-      apiKey,
-      baseURL: "https://generativelanguage.googleapis.com/v1beta/openai/"
-    })
-  : null;
-
-if (!apiKey) {
-  console.warn(
-    "GEMINI_API_KEY is not set. The server will start, but /api/ask and /api/verify-answer requests will fail until the key is added."
-  );
-}
+
+LLM_ROLES.forEach(role => {
+  const { providerName, model } = resolveRoleConfig(role);
+  console.log(`LLM ${role}: ${providerName}${model ? ` (${model})` : ""}`);
+
+  if (providerName === "gemini" && !process.env.GEMINI_API_KEY) {
+    console.warn(
+      `GEMINI_API_KEY is not set. The server will start, but ${role} requests will fail until the key is added.`
+    );
+  }
+});
 
 // ---------------- Carson-Edits Constants ----------------
 const FALLBACK_ANSWER = "UNABLE TO IDENTIFY, USER INPUT REQUIRED";
-const MAX_CONTEXT_CHARS = 20000;
+const MAX_DOCUMENT_CHARS = 500000;
+const RETRIEVAL_BUDGET_CHARS = 6000;
+const BATCH_RETRIEVAL_BUDGET_CHARS = 12000;
 const MAX_RESPONSE_CHARS = 300;
 const MAX_RESPONSE_WORDS = 50;
 const RETRY_ATTEMPTS = 3;
 const RETRY_BASE_DELAY_MS = 500;
+const REQUIRE_GROUNDING = process.env.REQUIRE_GROUNDING === "true";
+const BATCH_GROUP_SIZE = 8;
+const BATCH_GROUP_MAX_CHARS = 4000;
+const BATCH_TOKENS_PER_FIELD = 60;
+const MAX_EARLIER_ANSWERS = 50;
 
 // ---------------- LLM Clients ----------------
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "llama3.1";
-
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 const shouldRetryError = error => {
@@ -68,43 +82,64 @@ const withRetry = async (operation, { attempts = RETRY_ATTEMPTS, baseDelay = RET
   throw lastError;
 };
 
-const ollamaAsk = async (messages, requestId) => {
-  console.log(`[${requestId}] Sending extraction to Ollama (${OLLAMA_MODEL})...`);
-  const resp = await withRetry(
-    () =>
-      ollama.chat({
-        model: OLLAMA_MODEL,
-        messages,
-        options: { temperature: 0.1, num_predict: 150, keep_alive: "5m" }
-      }),
-    { attempts: RETRY_ATTEMPTS, baseDelay: RETRY_BASE_DELAY_MS, requestId }
-  );
+// Server-wide; the extension sets it from its settings page
+let privacyMode = PRIVACY_MODES.includes(process.env.PRIVACY_MODE) ? process.env.PRIVACY_MODE : DEFAULT_PRIVACY_MODE;
+
+// The extension also sends its setting with every request, so local-only still holds after the
+// server restarts. Either side asking for local-only is enough.
+const PRIVACY_MODE_HEADER = "X-Privacy-Mode";
+
+const requestPrivacyMode = req =>
+  req.get(PRIVACY_MODE_HEADER) === "local-only" ? "local-only" : privacyMode;
+
+const llmChat = async (
+  role,
+  messages,
+  requestId,
+  { temperature = 0.1, maxTokens = 150, format, privacy = privacyMode } = {}
+) => {
+  const { provider, model } = resolveRole(role);
+  if (provider.cloud && privacy === "local-only") {
+    throw new PrivacyModeError(
+      `Local-only privacy mode is on, so the ${role} request was not sent to the cloud provider ${provider.name}.`
+    );
+  }
 
-  return resp.message?.content?.trim() ?? "";
-};
+  // Cloud providers only ever see placeholders for personal details; the reply gets the real values back
+  const redaction = provider.cloud ? redactMessages(messages) : null;
+  if (redaction?.count) {
+    console.log(`[${requestId}] Redacted ${redaction.count} personal detail(s) before calling ${provider.name}`);
+  }
+  console.log(`[${requestId}] Sending ${role} to ${provider.name}${model ? ` (${model})` : ""}...`);
 
-const geminiVerify = async (messages, requestId) => {
-  console.log(`[${requestId}] Sending verification to Gemini...`);
-  const resp = await withRetry(
-    () =>
-      client.chat.completions.create({
-        model: "gemini-2.0-flash",
-        temperature: 0.0,
-        max_tokens: 10,
-        messages
-      }),
+  const reply = await withRetry(
+    () => provider.chat({ model, messages: redaction?.messages ?? messages, temperature, maxTokens, format }),
     { attempts: RETRY_ATTEMPTS, baseDelay: RETRY_BASE_DELAY_MS, requestId }
   );
-  return resp.choices?.[0]?.message?.content?.trim() ?? "";
+  return redaction ? restorePlaceholders(reply, redaction.values) : reply;
 };
 
+// A blocked cloud call is the user's choice, not a server failure
+const errorStatus = error => (error instanceof PrivacyModeError ? 403 : 500);
+
+// Which provider each role uses and whether it leaves this machine
+const describeRoles = () =>
+  LLM_ROLES.map(role => {
+    const { providerName, model } = resolveRoleConfig(role);
+    try {
+      return { role, provider: providerName, model, cloud: resolveRole(role).provider.cloud };
+    } catch (error) {
+      return { role, provider: providerName, model, cloud: null, error: error.message };
+    }
+  });
+
 // ---------------- Logging Utilities ----------------
 const logSection = (title, content, requestId = "") => {
   const prefix = requestId ? `[${requestId}]` : "";
   console.log("\n" + "=".repeat(80));
   console.log(`${prefix} ${title}`);
   console.log("=".repeat(80));
-  console.log(content);
+  console.log(maskSecrets(content));
   console.log("=".repeat(80) + "\n");
 };
 
@@ -114,12 +149,12 @@ const sanitizeDocumentContent = content =>
     .replace(/\0/g, "")
     .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
     .trim()
-    .slice(0, MAX_CONTEXT_CHARS);
+    .slice(0, MAX_DOCUMENT_CHARS);
 
 // ---------------- Answer Normalization ----------------
-const normalizeAnswer = (rawAnswer, context, requestId) => {
+const normalizeAnswer = (rawAnswer, context, requestId, { requireGrounding = false } = {}) => {
   const safe = String(rawAnswer ?? "");
-  console.log(`[${requestId}] RAW LLM RESPONSE: "${safe}"`);
+  console.log(`[${requestId}] RAW LLM RESPONSE: "${maskSecrets(safe)}"`);
 
   if (!safe.trim()) return FALLBACK_ANSWER;
 
@@ -149,11 +184,234 @@ const normalizeAnswer = (rawAnswer, context, requestId) => {
   if (answer.length > MAX_RESPONSE_CHARS) return FALLBACK_ANSWER;
   if (answer.split(/\s+/).length > MAX_RESPONSE_WORDS) return FALLBACK_ANSWER;
 
+  // A hostile label can ask for the whole resume or smuggle instructions into the answer
+  const injection = detectInjectedAnswer(answer, context);
+  if (injection) {
+    console.log(`[${requestId}] REJECTED: ${injection}`);
+    return FALLBACK_ANSWER;
+  }
+
+  if (requireGrounding && answer !== FALLBACK_ANSWER && !locateEvidence(answer, context).grounded) {
+    console.log(`[${requestId}] REJECTED: answer does not appear in the documents`);
+    return FALLBACK_ANSWER;
+  }
+
   return answer;
 };
 
+// ---------------- Answer Provenance ----------------
+const describeProvenance = (answer, context) => {
+  if (answer === FALLBACK_ANSWER) return { source: null, grounded: false };
+  return locateEvidence(answer, context);
+};
+
+// ---------------- Verification Parsing ----------------
+// The verifier must answer with a single word; anything else is UNKNOWN rather than a pass
+const parseVerdict = raw => {
+  const word = String(raw ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/^[^A-Z]+|[^A-Z]+$/g, "");
+
+  if (word === "CORRECT") return "CORRECT";
+  if (word === "INCORRECT") return "INCORRECT";
+  return "UNKNOWN";
+};
+
+// ---------------- Option Matching ----------------
+const matchOptionAnswer = (answer, field, requestId) => {
+  if (answer === FALLBACK_ANSWER) return answer;
+
+  const chosen = matchOptions(answer, field);
+  if (!chosen.length) {
+    console.warn(`[${requestId}] Answer "${maskSecrets(answer)}" is not one of the field's options`);
+    return FALLBACK_ANSWER;
+  }
+
+  return chosen.join(`${CHOICE_SEPARATOR} `);
+};
+
+// ---------------- Batch Field Grouping ----------------
+// Everything read from the page is quoted as untrusted; the ID is replaced by a short alias
+// because page-derived IDs could carry text of their own
+const describeField = (field, alias = field.fieldId) => {
+  const parts = [`[${alias}]`];
+
+  if (field.questionText) parts.push(`Question: ${quoteUntrusted(field.questionText)}`);
+  if (field.label && field.label !== field.questionText) parts.push(`Field Label: ${quoteUntrusted(field.label)}`);
+  if (field.placeholder) parts.push(`Placeholder: ${quoteUntrusted(field.placeholder)}`);
+  if (field.ariaLabel && field.ariaLabel !== field.label) parts.push(`Aria Label: ${quoteUntrusted(field.ariaLabel)}`);
+  if (field.formContext) parts.push(`Form: ${quoteUntrusted(field.formContext)}`);
+  if (field.type) parts.push(`Type: ${quoteUntrusted(field.type)}`);
+  if (field.name) parts.push(`Name: ${quoteUntrusted(field.name)}`);
+  if (field.semanticType) parts.push(`Expected Value: ${quoteUntrusted(field.semanticType)}`);
+  if (hasOptions(field)) {
+    parts.push(`Options: ${field.options.map(option => quoteUntrusted(optionText(option))).join(", ")}`);
+    parts.push(
+      field.multiple ? "Choose: every option that applies, as a JSON array" : "Choose: exactly one option"
+    );
+  }
+  if (field.nearbyText) parts.push(`Context: ${quoteUntrusted(field.nearbyText)}`);
+
+  return parts.join("\n");
+};
+
+// Answers from earlier steps of a wizard keep later answers consistent. They are a separate block,
+// never part of the documents, so they cannot ground an answer; their questions are page text.
+const describeEarlierAnswers = earlierAnswers =>
+  earlierAnswers
+    .map(({ question, value }) => `Question: ${quoteUntrusted(question)}\nAnswer: ${quoteUntrusted(value)}`)
+    .join("\n\n");
+
+const toEarlierAnswers = value =>
+  (Array.isArray(value) ? value : [])
+    .filter(answer => answer && typeof answer.question === "string" && typeof answer.value === "string")
+    .slice(-MAX_EARLIER_ANSWERS);
+
+// Split a form into groups small enough for one model call each
+const groupFields = fields => {
+  const groups = [];
+  let current = [];
+  let currentChars = 0;
+
+  fields.forEach(field => {
+    const description = describeField(field);
+    const overflows =
+      current.length >= BATCH_GROUP_SIZE ||
+      (current.length && currentChars + description.length > BATCH_GROUP_MAX_CHARS);
+
+    if (overflows) {
+      groups.push(current);
+      current = [];
+      currentChars = 0;
+    }
+
+    current.push({ field, description });
+    currentChars += description.length;
+  });
+
+  if (current.length) groups.push(current);
+  return groups;
+};
+
+// Models sometimes answer multi-select fields with an array
+const toAnswerText = value => {
+  if (Array.isArray(value)) return value.map(toAnswerText).filter(Boolean).join(`${CHOICE_SEPARATOR} `);
+  return typeof value === "string" || typeof value === "number" ? String(value) : "";
+};
+
+const parseBatchResponse = raw => {
+  const text = String(raw ?? "").trim();
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) return {};
+
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+// ---------------- Batch Answering ----------------
+const BATCH_SYSTEM_PROMPT = `You are a form-filling assistant. You receive applicant documents and a list of form fields, each tagged with an ID in square brackets.
+For every field, extract the value from the documents that answers it.
+
+Rules:
+- Respond with a single JSON object mapping each field ID (without brackets) to its value as a string
+- Each value must be ONLY the exact value (a name, number, date, or short phrase), maximum 10 words
+- Do NOT return full sentences or explanations
+- If a field lists Options, the value must be copied exactly from those options; fields that accept every option that applies take a JSON array of options
+- If the answer is not explicitly in the documents, use exactly: "${FALLBACK_ANSWER}"
+- Earlier answers, if given, are what the applicant entered on previous steps of the same form. Use them only to stay consistent; they are not documents and never on their own justify a value
+- ${UNTRUSTED_TEXT_RULE}`;
+
+// Answers every field with one model call per group; throws only if every group failed
+const answerFields = async ({ content, fields, earlierAnswers = [], requestId, requireGrounding, privacy }) => {
+  const groups = groupFields(fields);
+  const answers = {};
+  const provenance = {};
+  let failedGroups = 0;
+  let lastError;
+
+  console.log(`[${requestId}] ${fields.length} field(s) in ${groups.length} group(s)`);
+
+  for (let index = 0; index < groups.length; index++) {
+    const group = groups[index];
+    const groupId = `${requestId}:${index + 1}/${groups.length}`;
+    const groupQuery = group.map(entry => entry.description).join("\n");
+    const retrieved = buildRetrievedContext(content, groupQuery, BATCH_RETRIEVAL_BUDGET_CHARS);
+
+    console.log(
+      `[${groupId}] Retrieved ${retrieved.selectedChunks}/${retrieved.totalChunks} chunk(s), ${retrieved.context.length} chars`
+    );
+
+    // The model only ever sees short aliases; answers are mapped back to the page's field IDs
+    const aliased = group.map(({ field }, position) => ({ ...field, fieldId: `f${position + 1}` }));
+
+    const messages = [
+      { role: "system", content: BATCH_SYSTEM_PROMPT },
+      { role: "user", content: `Documents:\n${retrieved.context}` },
+      ...(earlierAnswers.length
+        ? [{ role: "user", content: `Earlier answers:\n\n${describeEarlierAnswers(earlierAnswers)}` }]
+        : []),
+      {
+        role: "user",
+        content: `Fields:\n\n${aliased.map(field => describeField(field)).join("\n\n")}\n\nReturn the JSON object now.`
+      }
+    ];
+
+    let parsed = {};
+    try {
+      // Option fields are constrained to their labels where the provider supports JSON schemas
+      const raw = await llmChat("extraction", messages, groupId, {
+        format: group.some(({ field }) => hasOptions(field))
+          ? buildAnswerSchema(aliased, FALLBACK_ANSWER)
+          : "json",
+        maxTokens: BATCH_TOKENS_PER_FIELD * group.length,
+        privacy
+      });
+      parsed = parseBatchResponse(raw);
+    } catch (error) {
+      failedGroups += 1;
+      lastError = error;
+      console.error(`[${groupId}] GROUP FAILED`, error);
+    }
+
+    group.forEach(({ field }, position) => {
+      const fieldRequestId = `${groupId}:${field.fieldId}`;
+      // An option such as "Yes" is rarely quoted verbatim, so choices are constrained to the options instead of grounded
+      const normalized = normalizeAnswer(
+        toAnswerText(parsed[aliased[position].fieldId]),
+        content,
+        fieldRequestId,
+        { requireGrounding: Boolean(requireGrounding) && !hasOptions(field) }
+      );
+      const answer = hasOptions(field) ? matchOptionAnswer(normalized, field, fieldRequestId) : normalized;
+      answers[field.fieldId] = answer;
+      provenance[field.fieldId] = describeProvenance(answer, content);
+    });
+  }
+
+  if (failedGroups === groups.length) throw lastError;
+
+  return { answers, provenance };
+};
+
+// ---------------- OCR Quality ----------------
+const findLowConfidencePages = pages =>
+  (pages || [])
+    .filter(page => page.ocr && (page.confidence === null || page.confidence < LOW_OCR_CONFIDENCE))
+    .map(page => page.page);
+
 // ---------------- Express Setup ----------------
-app.use(cors());
+// Chrome extension IDs are 32 letters from a to p
+const EXTENSION_ORIGIN = /^chrome-extension:\/\/[a-p]{32}$/;
+const PRIVACY_ROUTE = "/api/privacy";
+
+// The privacy mode may only be read or changed by the extension (or a local tool sending no Origin)
+app.use(cors((req, callback) => callback(null, { origin: req.path === PRIVACY_ROUTE ? EXTENSION_ORIGIN : true })));
 app.use(express.json({ limit: "10mb" }));
 
 const upload = multer({
@@ -166,52 +424,158 @@ app.post("/api/extract-pdf", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No PDF file provided." });
 
-    const parsed = await pdfParse(req.file.buffer);
-    const text = parsed.text?.trim();
+    const { text, pages } = await extractDocument(req.file.buffer, "pdf");
 
     if (!text) return res.status(400).json({ error: "Unable to extract text from the PDF." });
 
-    console.log(`PDF extracted (${text.length} chars)`);
-    res.json({ text });
+    console.log(`PDF extracted (${pages.length} page(s), ${text.length} chars)`);
+    res.json({ text, pages, lowConfidencePages: findLowConfidencePages(pages) });
   } catch (err) {
     console.error("PDF extraction failed:", err);
     res.status(500).json({ error: err.message || "Unexpected error extracting PDF" });
   }
 });
 
+// ---------------- Document Extraction ----------------
+app.post("/api/extract", upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file provided." });
+
+    const { buffer, originalname, mimetype } = req.file;
+    const format = detectFormat(buffer, originalname, mimetype);
+    const { text, pages } = await extractDocument(buffer, format);
+
+    if (!text) return res.status(400).json({ error: `Unable to extract text from ${originalname}.` });
+
+    console.log(`${format.toUpperCase()} extracted from ${originalname} (${text.length} chars)`);
+    res.json({ text, format, pages, lowConfidencePages: findLowConfidencePages(pages) });
+  } catch (err) {
+    if (err instanceof UnsupportedFormatError) return res.status(415).json({ error: err.message });
+
+    console.error("Document extraction failed:", err);
+    res.status(500).json({ error: err.message || "Unexpected error extracting document" });
+  }
+});
+
 // ---------------- MAIN EXTRACTION ENDPOINT ----------------
 app.post("/api/ask", async (req, res) => {
   let requestId = randomUUID().split("-")[0];
 
   try {
-    const { content, question } = req.body || {};
+    const { content, question, requireGrounding = REQUIRE_GROUNDING } = req.body || {};
     if (!content || !question)
       return res.status(400).json({ error: "Both content and question are required." });
 
     const cleanedContent = sanitizeDocumentContent(content);
     const trimmedQuestion = String(question).trim();
+    const retrieved = buildRetrievedContext(cleanedContent, trimmedQuestion, RETRIEVAL_BUDGET_CHARS);
 
     logSection(
       "INCOMING REQUEST",
-      `Request ID: ${requestId}\n\nQUESTION:\n${trimmedQuestion}\n\nCONTEXT LENGTH: ${cleanedContent.length}`,
+      `Request ID: ${requestId}\n\nQUESTION:\n${trimmedQuestion}\n\nCONTEXT LENGTH: ${cleanedContent.length}\n\nRETRIEVED: ${retrieved.selectedChunks}/${retrieved.totalChunks} chunk(s), ${retrieved.context.length} chars`,
       requestId
     );
 
-    const systemPrompt = `You are a form-filling assistant... (unchanged)`;
+    const systemPrompt = `You are a form-filling assistant... (unchanged)\n${UNTRUSTED_TEXT_RULE}`;
 
     const messages = [
       { role: "system", content: systemPrompt },
-      { role: "user", content: `Documents:\n${cleanedContent}` },
-      { role: "user", content: `${trimmedQuestion}\n\nExtract ONLY the value.` }
+      { role: "user", content: `Documents:\n${retrieved.context}` },
+      { role: "user", content: `Question: ${quoteUntrusted(trimmedQuestion)}\n\nExtract ONLY the value.` }
     ];
 
-    const rawAnswer = await ollamaAsk(messages, requestId);
-    const answer = normalizeAnswer(rawAnswer, cleanedContent, requestId);
+    const rawAnswer = await llmChat("extraction", messages, requestId, { privacy: requestPrivacyMode(req) });
+    const answer = normalizeAnswer(rawAnswer, cleanedContent, requestId, {
+      requireGrounding: Boolean(requireGrounding)
+    });
+    const { source, grounded } = describeProvenance(answer, cleanedContent);
 
-    return res.json({ answer });
+    return res.json({ answer, source, grounded });
   } catch (error) {
     console.error(`[${requestId}] ERROR`, error);
-    res.status(500).json({ error: error.message || "Unexpected server error." });
+    res.status(errorStatus(error)).json({ error: error.message || "Unexpected server error." });
+  }
+});
+
+// ---------------- BATCH EXTRACTION ENDPOINT ----------------
+app.post("/api/ask-batch", async (req, res) => {
+  let requestId = randomUUID().split("-")[0];
+
+  try {
+    const { content, fields, earlierAnswers, requireGrounding = REQUIRE_GROUNDING } = req.body || {};
+    if (!content || !Array.isArray(fields) || !fields.length)
+      return res.status(400).json({ error: "Content and a non-empty fields array are required." });
+
+    const validFields = fields.filter(field => field && typeof field.fieldId === "string" && field.fieldId);
+    if (!validFields.length)
+      return res.status(400).json({ error: "Every field must include a fieldId." });
+
+    const cleanedContent = sanitizeDocumentContent(content);
+
+    logSection(
+      "INCOMING BATCH REQUEST",
+      `Request ID: ${requestId}\n\nFIELDS: ${validFields.length}\n\nCONTEXT LENGTH: ${cleanedContent.length}`,
+      requestId
+    );
+
+    const { answers, provenance } = await answerFields({
+      content: cleanedContent,
+      fields: validFields,
+      earlierAnswers: toEarlierAnswers(earlierAnswers),
+      requestId,
+      requireGrounding,
+      privacy: requestPrivacyMode(req)
+    });
+
+    return res.json({ answers, provenance });
+  } catch (error) {
+    console.error(`[${requestId}] BATCH ERROR`, error);
+    res.status(errorStatus(error)).json({ error: error.message || "Unexpected server error." });
+  }
+});
+
+// ---------------- PROFILE ENDPOINT ----------------
+// Extracts the canonical applicant profile once; the extension caches it and fills
+// standard fields from it. Values must be found in the documents, otherwise null.
+app.post("/api/profile", async (req, res) => {
+  let requestId = randomUUID().split("-")[0];
+
+  try {
+    const { content } = req.body || {};
+    if (!content) return res.status(400).json({ error: "Content is required." });
+
+    const cleanedContent = sanitizeDocumentContent(content);
+
+    logSection(
+      "INCOMING PROFILE REQUEST",
+      `Request ID: ${requestId}\n\nPROFILE FIELDS: ${PROFILE_FIELDS.length}\n\nCONTEXT LENGTH: ${cleanedContent.length}`,
+      requestId
+    );
+
+    const { answers, provenance } = await answerFields({
+      content: cleanedContent,
+      fields: profileFieldDescriptors(),
+      requestId,
+      requireGrounding: true,
+      privacy: requestPrivacyMode(req)
+    });
+
+    const profile = {};
+    const sources = {};
+    PROFILE_FIELDS.forEach(({ key }) => {
+      const found = answers[key] !== FALLBACK_ANSWER;
+      profile[key] = found ? answers[key] : null;
+      sources[key] = found ? provenance[key].source : null;
+    });
+
+    return res.json({
+      profile,
+      sources,
+      fields: PROFILE_FIELDS.map(({ key, label }) => ({ key, label }))
+    });
+  } catch (error) {
+    console.error(`[${requestId}] PROFILE ERROR`, error);
+    res.status(errorStatus(error)).json({ error: error.message || "Unexpected server error." });
   }
 });
 
@@ -224,29 +588,64 @@ app.post("/api/verify-answer", async (req, res) => {
     if (!content || !question || !answer)
       return res.status(400).json({ error: "Content, question, and answer are required." });
 
-    const cleaned = sanitizeDocumentContent(content);
+    const cleaned = buildRetrievedContext(
+      sanitizeDocumentContent(content),
+      `${question}\n${answer}`,
+      RETRIEVAL_BUDGET_CHARS
+    ).context;
 
     const messages = [
       {
         role: "system",
-        content: "You are a verifier. Respond with only CORRECT or INCORRECT."
+        content: `You are a verifier. Respond with only CORRECT or INCORRECT.\n${UNTRUSTED_TEXT_RULE}`
       },
       {
         role: "user",
-        content: `CONTEXT:\n${cleaned}\n\nQUESTION:\n${question}\n\nANSWER:\n${answer}`
+        content: `CONTEXT:\n${cleaned}\n\nQUESTION:\n${quoteUntrusted(question)}\n\nANSWER:\n${answer}`
       }
     ];
 
-    const verificationResult = await geminiVerify(messages, requestId);
-    const isCorrect = verificationResult.toUpperCase().includes("CORRECT");
+    const verificationResult = await llmChat("verification", messages, requestId, {
+      temperature: 0.0,
+      maxTokens: 10,
+      privacy: requestPrivacyMode(req)
+    });
+    const verdict = parseVerdict(verificationResult);
+    console.log(`[${requestId}] VERIFICATION VERDICT: ${verdict} (raw: "${maskSecrets(verificationResult)}")`);
 
-    return res.json({ isCorrect, verificationResult });
+    return res.json({ isCorrect: verdict === "CORRECT", verdict, verificationResult });
   } catch (error) {
     console.error(`[${requestId}] VERIFICATION ERROR`, error);
-    res.status(500).json({ error: error.message || "Unexpected verification error." });
+    res.status(errorStatus(error)).json({ error: error.message || "Unexpected verification error." });
   }
 });
 
+// ---------------- PRIVACY ENDPOINT ----------------
+// CORS only keeps a web page from reading the reply, so requests from other origins are refused outright
+const requireExtensionOrigin = (req, res, next) => {
+  const origin = req.get("Origin");
+  if (origin && !EXTENSION_ORIGIN.test(origin)) {
+    return res.status(403).json({ error: "Only the extension can read or change the privacy mode." });
+  }
+  next();
+};
+
+// Shows which roles run in the cloud and switches local-only mode on or off for every request
+app.get(PRIVACY_ROUTE, requireExtensionOrigin, (req, res) => {
+  res.json({ mode: privacyMode, roles: describeRoles() });
+});
+
+app.put(PRIVACY_ROUTE, requireExtensionOrigin, (req, res) => {
+  const { mode } = req.body || {};
+  if (!PRIVACY_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${PRIVACY_MODES.join(", ")}.` });
+  }
+
+  if (mode !== privacyMode) console.log(`Privacy mode set to ${mode}`);
+  privacyMode = mode;
+  res.json({ mode: privacyMode, roles: describeRoles() });
+});
+
 // ---------------- Start Server ----------------
 const startServer = port => {
   const server = app.listen(port, () => {
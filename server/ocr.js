@@ -0,0 +1,64 @@
+import { createRequire } from "module";
+import Tesseract from "tesseract.js";
+
+const require = createRequire(import.meta.url);
+// Language data ships in node_modules, so recognition never touches the network
+const englishData = require("@tesseract.js-data/eng");
+
+// ---------------- OCR Settings ----------------
+export const LOW_OCR_CONFIDENCE = 60;
+
+// pdf.js ImageKind values
+const IMAGE_KIND_GRAYSCALE_1BPP = 1;
+const IMAGE_KIND_RGB_24BPP = 2;
+const IMAGE_KIND_RGBA_32BPP = 3;
+
+// ---------------- Worker ----------------
+// One shared worker; tesseract queues jobs internally
+let workerPromise = null;
+
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = Tesseract.createWorker(englishData.code, Tesseract.OEM.LSTM_ONLY, {
+      langPath: englishData.langPath,
+      gzip: englishData.gzip,
+      cacheMethod: "none"
+    }).catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+};
+
+export const recognizeImage = async image => {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(image);
+  return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+};
+
+// ---------------- Raw Image Encoding ----------------
+// pdf.js hands back decoded pixels; wrap them in a PNM header, which leptonica reads natively.
+export const encodePdfImage = ({ width, height, kind, data }) => {
+  if (kind === IMAGE_KIND_GRAYSCALE_1BPP) {
+    // pdf.js packs 1 = white, PBM expects 1 = black
+    const inverted = Buffer.from(data.map(byte => ~byte & 0xff));
+    return Buffer.concat([Buffer.from(`P4\n${width} ${height}\n`), inverted]);
+  }
+
+  if (kind === IMAGE_KIND_RGB_24BPP) {
+    return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), Buffer.from(data)]);
+  }
+
+  if (kind === IMAGE_KIND_RGBA_32BPP) {
+    const rgb = Buffer.alloc(width * height * 3);
+    for (let source = 0, target = 0; source < data.length; source += 4, target += 3) {
+      rgb[target] = data[source];
+      rgb[target + 1] = data[source + 1];
+      rgb[target + 2] = data[source + 2];
+    }
+    return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), rgb]);
+  }
+
+  return null;
+};
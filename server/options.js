@@ -0,0 +1,120 @@
+// ---------------- Option Settings ----------------
+// Radio groups, checkbox groups and selects send their options; answers must be one of them.
+// Multi-select answers are joined with this separator.
+export const CHOICE_SEPARATOR = ";";
+
+const MIN_TOKEN_COVERAGE = 0.6;
+const MIN_PREFIX_LENGTH = 4;
+const MIN_SCORE_MARGIN = 0.05;
+const OPTION_STOPWORDS = new Set(["a", "an", "and", "in", "of", "or", "the", "to"]);
+
+export const hasOptions = field => Array.isArray(field?.options) && field.options.length > 0;
+
+export const optionText = option => String(option?.label || option?.value || "").trim();
+
+// ---------------- Fuzzy Matching ----------------
+const normalize = text =>
+  String(text ?? "")
+    .toLowerCase()
+    .replace(/['’]s\b/g, "")
+    .replace(/\./g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const stem = token => (token.length > 3 && token.endsWith("s") ? token.slice(0, -1) : token);
+
+const significantTokens = text =>
+  normalize(text)
+    .split(" ")
+    .filter(token => token && !OPTION_STOPWORDS.has(token))
+    .map(stem);
+
+// "United States of America" -> "usa", "Bachelor of Science" -> "bs"
+const acronym = text =>
+  significantTokens(text)
+    .map(token => token[0])
+    .join("");
+
+const tokensMatch = (a, b) =>
+  a === b || (Math.min(a.length, b.length) >= MIN_PREFIX_LENGTH && (a.startsWith(b) || b.startsWith(a)));
+
+const scoreOption = (answer, option) => {
+  const texts = [optionText(option), String(option?.value ?? "")].filter(Boolean);
+  const wanted = normalize(answer);
+  if (!wanted) return 0;
+
+  if (texts.some(text => normalize(text) === wanted)) return 1;
+
+  const compact = wanted.replace(/\s+/g, "");
+  const label = optionText(option);
+  if (compact.length >= 2 && (acronym(label) === compact || acronym(answer) === normalize(label).replace(/\s+/g, ""))) {
+    return 0.9;
+  }
+
+  const answerTokens = significantTokens(answer);
+  const optionTokens = texts.flatMap(significantTokens);
+  if (!answerTokens.length || !optionTokens.length) return 0;
+
+  const shared = answerTokens.filter(token => optionTokens.some(candidate => tokensMatch(token, candidate))).length;
+  const coverage = shared / answerTokens.length;
+  if (coverage < MIN_TOKEN_COVERAGE) return 0;
+
+  const dice = (2 * shared) / (answerTokens.length + optionTokens.length);
+  return 0.8 * (coverage * 0.7 + dice * 0.3);
+};
+
+// Best-scoring option, or null when nothing is close enough or the runner-up scores about the
+// same: "Bachelor's" fits both BA and BS, and guessing would pick whichever the page lists first
+export const findBestOption = (answer, options) => {
+  let best = null;
+  let bestScore = 0;
+  let runnerUpScore = 0;
+
+  options.forEach(option => {
+    const score = scoreOption(answer, option);
+    if (score > bestScore) {
+      best = option;
+      runnerUpScore = bestScore;
+      bestScore = score;
+    } else if (score > runnerUpScore) {
+      runnerUpScore = score;
+    }
+  });
+
+  return bestScore - runnerUpScore < MIN_SCORE_MARGIN ? null : best;
+};
+
+// Maps a model answer onto the field's option labels ("Bachelor's" -> "Bachelor of Science (BS)")
+export const matchOptions = (answer, field) => {
+  const parts = field.multiple ? String(answer).split(CHOICE_SEPARATOR) : [String(answer)];
+  return Array.from(
+    new Set(
+      parts
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => findBestOption(part, field.options))
+        .filter(Boolean)
+        .map(optionText)
+    )
+  );
+};
+
+// ---------------- Constrained Output ----------------
+// JSON schema restricting every option field to its option labels; free-text fields stay strings
+export const buildAnswerSchema = (fields, fallbackAnswer) => ({
+  type: "object",
+  properties: Object.fromEntries(
+    fields.map(field => {
+      if (!hasOptions(field)) return [field.fieldId, { type: "string" }];
+
+      const labels = Array.from(new Set(field.options.map(optionText).filter(Boolean)));
+      return [
+        field.fieldId,
+        field.multiple
+          ? { type: "array", items: { type: "string", enum: labels } }
+          : { type: "string", enum: [...labels, fallbackAnswer] }
+      ];
+    })
+  ),
+  required: fields.map(field => field.fieldId)
+});
@@ -0,0 +1,271 @@
+import pdfParse from "pdf-parse";
+import { encodePdfImage, recognizeImage } from "./ocr.js";
+
+// ---------------- Layout Settings ----------------
+const LINE_TOLERANCE = 0.45; // fraction of font size two baselines may differ by
+const WORD_GAP = 0.15; // gaps wider than this fraction of font size get a space
+const CELL_GAP = 1.8; // gaps wider than this multiple of font size start a new cell
+const GUTTER_MIN_WIDTH = 12;
+const GUTTER_MAX_CROSSING = 0.1;
+const COLUMN_MIN_COVERAGE = 0.3;
+const COLUMN_MAX_ALIGNMENT = 0.7;
+
+// pdf.js OPS codes for image painting operators
+const OP_PAINT_JPEG_XOBJECT = 82;
+const OP_PAINT_IMAGE_XOBJECT = 85;
+const OP_PAINT_INLINE_IMAGE_XOBJECT = 86;
+
+const SECTION_HEADINGS =
+  /^(education|experience|work experience|professional experience|relevant experience|employment|skills|technical skills|projects|leadership|leadership (?:&|and) involvement|involvement|activities|honors|awards|honors (?:&|and) awards|certifications|coursework|relevant coursework|summary|profile|objective|publications|research|volunteer(?:ing| experience)?|references|contact|interests|languages)\s*:?$/i;
+
+// ---------------- Line Assembly ----------------
+const toItems = (textContent, originX) =>
+  textContent.items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const [, , , scaleY, x, y] = item.transform;
+      const size = Math.abs(scaleY) || 10;
+      return { str: item.str, x: x - originX, y, size, end: x - originX + item.width };
+    });
+
+const groupLines = items => {
+  const lines = [];
+
+  [...items]
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach(item => {
+      const line = lines.find(
+        candidate => Math.abs(candidate.y - item.y) <= Math.max(candidate.size, item.size) * LINE_TOLERANCE
+      );
+      if (line) {
+        line.items.push(item);
+        line.size = Math.max(line.size, item.size);
+      } else {
+        lines.push({ y: item.y, size: item.size, items: [item] });
+      }
+    });
+
+  lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+  return lines.sort((a, b) => b.y - a.y);
+};
+
+// Large horizontal gaps become " | " so table rows keep their cells together
+const renderItems = items => {
+  const cells = [];
+  let cell = "";
+  let previous = null;
+
+  items.forEach(item => {
+    if (previous) {
+      const gap = item.x - previous.end;
+      if (gap > item.size * CELL_GAP) {
+        cells.push(cell);
+        cell = "";
+      } else if (gap > item.size * WORD_GAP && !/\s$/.test(cell) && !/^\s/.test(item.str)) {
+        cell += " ";
+      }
+    }
+    cell += item.str;
+    previous = item;
+  });
+  cells.push(cell);
+
+  return cells
+    .map(value => value.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join(" | ");
+};
+
+// ---------------- Column Detection ----------------
+// A gutter is a vertical band in the middle of the page that almost no line crosses.
+const findGutter = (lines, width) => {
+  const crossings = new Array(Math.ceil(width)).fill(0);
+  lines.forEach(line =>
+    line.items.forEach(item => {
+      for (let x = Math.max(0, Math.floor(item.x)); x < Math.min(width, Math.ceil(item.end)); x++) {
+        crossings[x] += 1;
+      }
+    })
+  );
+
+  const limit = lines.length * GUTTER_MAX_CROSSING;
+  let best = null;
+  let runStart = null;
+
+  for (let x = Math.floor(width * 0.25); x <= Math.ceil(width * 0.75); x++) {
+    const open = x < crossings.length && crossings[x] <= limit;
+    if (open && runStart === null) runStart = x;
+    if ((!open || x === Math.ceil(width * 0.75)) && runStart !== null) {
+      const runWidth = x - runStart;
+      if (runWidth >= GUTTER_MIN_WIDTH && (!best || runWidth > best.width)) {
+        best = { width: runWidth, split: runStart + runWidth / 2 };
+      }
+      runStart = null;
+    }
+  }
+
+  return best?.split ?? null;
+};
+
+const splitLine = (line, split) => {
+  if (line.items.some(item => item.x < split && item.end > split)) return { spanning: true };
+  return {
+    spanning: false,
+    left: line.items.filter(item => item.end <= split),
+    right: line.items.filter(item => item.x >= split)
+  };
+};
+
+// Two real columns fill both sides on independent baselines; a table or a
+// right-aligned date column shares baselines with the left side instead.
+const isColumnLayout = splitLines => {
+  const sided = splitLines.filter(line => !line.spanning);
+  if (!sided.length) return false;
+
+  const withLeft = sided.filter(line => line.left.length);
+  const withRight = sided.filter(line => line.right.length);
+  const aligned = withRight.filter(line => line.left.length).length;
+
+  return (
+    withLeft.length / sided.length >= COLUMN_MIN_COVERAGE &&
+    withRight.length / sided.length >= COLUMN_MIN_COVERAGE &&
+    aligned / (withRight.length || 1) < COLUMN_MAX_ALIGNMENT
+  );
+};
+
+// ---------------- Headings ----------------
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] ?? 0;
+};
+
+const isHeading = (text, size, bodySize) => {
+  if (SECTION_HEADINGS.test(text)) return true;
+  if (/\d/.test(text) || text.includes("|") || text.split(/\s+/).length > 6) return false;
+  const letters = text.replace(/[^a-z]/gi, "");
+  if (letters.length < 3) return false;
+  return letters === letters.toUpperCase() || size >= bodySize * 1.15;
+};
+
+// ---------------- Page Rendering ----------------
+const renderPage = (textContent, [x0, , x1]) => {
+  const width = x1 - x0;
+  const lines = groupLines(toItems(textContent, x0));
+  if (!lines.length) return "";
+
+  const bodySize = median(lines.map(line => line.size));
+  const formatLine = (items, size) => {
+    const text = renderItems(items);
+    return isHeading(text, size, bodySize) ? `## ${text}` : text;
+  };
+
+  const split = findGutter(lines, width);
+  const splitLines = split === null ? [] : lines.map(line => ({ ...splitLine(line, split), line }));
+
+  if (split === null || !isColumnLayout(splitLines)) {
+    return lines.map(line => formatLine(line.items, line.size)).join("\n");
+  }
+
+  // Read each band between full-width lines left column first, then right column
+  const output = [];
+  let leftColumn = [];
+  let rightColumn = [];
+  const flush = () => {
+    output.push(...leftColumn, ...rightColumn);
+    leftColumn = [];
+    rightColumn = [];
+  };
+
+  splitLines.forEach(({ spanning, left, right, line }) => {
+    if (spanning) {
+      flush();
+      output.push(formatLine(line.items, line.size));
+      return;
+    }
+    if (left.length) leftColumn.push(formatLine(left, line.size));
+    if (right.length) rightColumn.push(formatLine(right, line.size));
+  });
+  flush();
+
+  return output.join("\n");
+};
+
+// ---------------- Scanned Pages ----------------
+const getPageImages = async pageData => {
+  const { fnArray, argsArray } = await pageData.getOperatorList();
+  const pending = [];
+  const seen = new Set();
+
+  fnArray.forEach((fn, index) => {
+    const [arg] = argsArray[index] ?? [];
+    if (fn === OP_PAINT_INLINE_IMAGE_XOBJECT) {
+      pending.push(Promise.resolve(arg));
+    } else if ((fn === OP_PAINT_IMAGE_XOBJECT || fn === OP_PAINT_JPEG_XOBJECT) && !seen.has(arg)) {
+      seen.add(arg);
+      pending.push(new Promise(resolve => pageData.objs.get(arg, resolve)));
+    }
+  });
+
+  return Promise.all(pending);
+};
+
+// OCR every image painted on a page that has no text layer.
+// Confidence is the text-length weighted average across the page's images.
+const ocrPage = async pageData => {
+  const images = await getPageImages(pageData);
+  const recognized = [];
+
+  for (const image of images) {
+    const encoded = image && encodePdfImage(image);
+    if (!encoded) continue;
+    const result = await recognizeImage(encoded);
+    if (result.text) recognized.push(result);
+  }
+
+  const totalLength = recognized.reduce((sum, result) => sum + result.text.length, 0);
+  return {
+    text: recognized.map(result => result.text).join("\n\n"),
+    confidence: totalLength
+      ? Math.round(recognized.reduce((sum, result) => sum + result.confidence * result.text.length, 0) / totalLength)
+      : null
+  };
+};
+
+// ---------------- Public API ----------------
+// Returns page-tagged text ("[Page N]" markers) plus the per-page text.
+// Pages without a text layer fall back to OCR and carry an OCR confidence (0-100).
+export const extractPdfLayout = async buffer => {
+  const pages = [];
+
+  // pdf.js reads the whole backing ArrayBuffer, so small (pooled) Buffers must be copied out first.
+  // "none" makes pdf.js decode JPEGs itself instead of reaching for the DOM Image class.
+  const source = { data: new Uint8Array(buffer), nativeImageDecoderSupport: "none" };
+
+  await pdfParse(source, {
+    pagerender: async pageData => {
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+      });
+      const page = pageData.pageIndex + 1;
+      const text = renderPage(textContent, pageData.view).trim();
+
+      if (text) {
+        pages.push({ page, text, ocr: false, confidence: null });
+      } else {
+        const recognized = await ocrPage(pageData);
+        console.log(`PDF page ${page} has no text layer; OCR confidence ${recognized.confidence ?? "n/a"}`);
+        pages.push({ page, text: recognized.text, ocr: true, confidence: recognized.confidence });
+      }
+      return "";
+    }
+  });
+
+  pages.sort((a, b) => a.page - b.page);
+  const text = pages
+    .filter(page => page.text)
+    .map(page => `[Page ${page.page}]\n${page.text}`)
+    .join("\n\n");
+
+  return { text, pages };
+};
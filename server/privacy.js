@@ -0,0 +1,96 @@
+import "../extension/shared.js";
+
+// ---------------- Privacy Settings ----------------
+// "local-only" refuses every call to a cloud provider; "redacted-cloud" allows them, but personal
+// details in the prompt are swapped for placeholders first and put back in the reply.
+export const PRIVACY_MODES = ["redacted-cloud", "local-only"];
+export const DEFAULT_PRIVACY_MODE = "redacted-cloud";
+
+export class PrivacyModeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PrivacyModeError";
+  }
+}
+
+// ---------------- PII Detection ----------------
+const DATE_PATTERN =
+  "(?:\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.? \\d{1,2},? \\d{4}|\\d{1,2} (?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.? \\d{4})";
+const STREET_SUFFIXES =
+  "Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy";
+
+// Whole matches are redacted, except where a capture group marks the value after a label.
+// Dates and IDs are only taken after their label (and IDs need a digit): a graduation date or course
+// number is not personal.
+const PII_PATTERNS = [
+  { kind: "EMAIL", pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  {
+    kind: "DOB",
+    pattern: new RegExp(`\\b(?:date of birth|birth ?date|d\\.?o\\.?b\\.?|born(?: on)?)\\s*[:\\-]?\\s*(${DATE_PATTERN})`, "gi")
+  },
+  {
+    kind: "STUDENT_ID",
+    pattern: /\b(?:student|university|school|campus)\s*(?:id|identification|number|no\.?|#)\s*(?:number|no\.?|#)?\s*[:#-]?\s*((?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{4,})\b/gi
+  },
+  {
+    kind: "ADDRESS",
+    pattern: new RegExp(
+      `\\b\\d{1,6}\\s+(?:[A-Z0-9][\\w'.-]*\\s+){0,4}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s*(?:Apt|Apartment|Suite|Ste|Unit|#)\\.?\\s*[\\w-]+)?(?:,\\s*[A-Z][A-Za-z .'-]+,\\s*[A-Z]{2}\\s+\\d{5}(?:-\\d{4})?)?`,
+      "g"
+    )
+  },
+  { kind: "PHONE", pattern: /(?<![\w+])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g }
+];
+
+const PLACEHOLDER_PATTERN = /\[(?:EMAIL|DOB|STUDENT_ID|ADDRESS|PHONE)_\d+\]/g;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const findPersonalValues = text => {
+  const found = [];
+  PII_PATTERNS.forEach(({ kind, pattern }) => {
+    for (const match of String(text).matchAll(pattern)) {
+      const value = (match[1] ?? match[0]).trim();
+      if (value) found.push({ kind, value });
+    }
+  });
+  return found;
+};
+
+// ---------------- Redaction ----------------
+// One table per call, so the same value gets the same placeholder in every message.
+// Longer values are replaced first so an email never loses its tail to a shorter match.
+export const redactMessages = messages => {
+  const placeholders = new Map();
+  const counters = {};
+
+  messages.forEach(message => {
+    findPersonalValues(message.content ?? "").forEach(({ kind, value }) => {
+      if (placeholders.has(value)) return;
+      counters[kind] = (counters[kind] || 0) + 1;
+      placeholders.set(value, `[${kind}_${counters[kind]}]`);
+    });
+  });
+
+  const ordered = Array.from(placeholders.entries()).sort(([a], [b]) => b.length - a.length);
+  const redact = text =>
+    ordered.reduce((output, [value, placeholder]) => output.replace(new RegExp(escapeRegExp(value), "g"), placeholder), text);
+
+  return {
+    messages: messages.map(message =>
+      typeof message.content === "string" ? { ...message, content: redact(message.content) } : message
+    ),
+    values: new Map(Array.from(placeholders.entries()).map(([value, placeholder]) => [placeholder, value])),
+    count: placeholders.size
+  };
+};
+
+// Placeholders the model echoed back become the real values again
+export const restorePlaceholders = (text, values) =>
+  String(text ?? "").replace(PLACEHOLDER_PATTERN, placeholder => values.get(placeholder) ?? placeholder);
+
+// ---------------- Log Masking ----------------
+// Unlike redaction this is one-way: IBANs, social security numbers and card/account-length
+// digit runs are blanked out of server logs and never restored. The extension's helper is the
+// single implementation, so server and extension logs always mask the same values.
+export const { maskSecrets } = globalThis;
@@ -0,0 +1,29 @@
+// ---------------- Applicant Profile Schema ----------------
+// The fixed set of facts extracted once from the stored documents and reused for
+// every standard form field. Keys are shared with the extension, so only append.
+export const PROFILE_FIELDS = [
+  { key: "fullName", label: "Full name", question: "What is the applicant's full name?" },
+  { key: "firstName", label: "First name", question: "What is the applicant's first (given) name?" },
+  { key: "middleName", label: "Middle name", question: "What is the applicant's middle name?" },
+  { key: "lastName", label: "Last name", question: "What is the applicant's last (family) name?" },
+  { key: "email", label: "Email", question: "What is the applicant's email address?" },
+  { key: "phone", label: "Phone", question: "What is the applicant's phone number?" },
+  { key: "addressLine1", label: "Street address", question: "What is the applicant's street address (line 1)?" },
+  { key: "addressLine2", label: "Address line 2", question: "What is the apartment, suite or unit of the applicant's address?" },
+  { key: "city", label: "City", question: "What city does the applicant live in?" },
+  { key: "state", label: "State / province", question: "What state or province does the applicant live in?" },
+  { key: "postalCode", label: "Postal code", question: "What is the applicant's ZIP or postal code?" },
+  { key: "country", label: "Country", question: "What country does the applicant live in?" },
+  { key: "dateOfBirth", label: "Date of birth", question: "What is the applicant's date of birth?" },
+  { key: "school", label: "School", question: "What school, college or university does the applicant attend?" },
+  { key: "degree", label: "Degree", question: "What degree is the applicant pursuing or holding?" },
+  { key: "major", label: "Major", question: "What is the applicant's major or field of study?" },
+  { key: "gpa", label: "GPA", question: "What is the applicant's GPA?" },
+  { key: "graduationDate", label: "Graduation date", question: "What is the applicant's (expected) graduation date?" },
+  { key: "linkedin", label: "LinkedIn", question: "What is the applicant's LinkedIn profile URL?" },
+  { key: "website", label: "Website", question: "What is the applicant's personal website or portfolio URL?" }
+];
+
+// Profile entries go through the same batch pipeline as page fields
+export const profileFieldDescriptors = () =>
+  PROFILE_FIELDS.map(({ key, label, question }) => ({ fieldId: key, label, questionText: question }));
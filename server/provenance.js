@@ -0,0 +1,102 @@
+import { isDocumentBoundary, parseDocumentSections } from "./retrieval.js";
+
+// ---------------- Evidence Matching ----------------
+const FUZZY_WINDOW_LINES = 2;
+const PAGE_MARKER = /^\[Page (\d+)\]$/gm;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The match may not continue a word or a number, so "3.4" does not ground on "3.45" nor "Jan" on "Jane"
+const BEFORE_TOKEN = "(?<!\\w)(?<!\\d\\.)";
+const AFTER_TOKEN = "(?!\\w)(?!\\.\\d)";
+
+// Blanks the "=== NAME ===" wrappers in place so they are never quoted as evidence but offsets still line up
+const maskBoundaries = content =>
+  content
+    .split("\n")
+    .map(line => (isDocumentBoundary(line) ? " ".repeat(line.length) : line))
+    .join("\n");
+
+const tokenize = text =>
+  String(text ?? "")
+    .toLowerCase()
+    .split(/[^a-z0-9.@]+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ""))
+    .filter(Boolean);
+
+const splitLines = content => {
+  const lines = [];
+  let offset = 0;
+  content.split("\n").forEach(text => {
+    lines.push({ text, start: offset, end: offset + text.length });
+    offset += text.length + 1;
+  });
+  return lines;
+};
+
+const findSection = (sections, offset) =>
+  sections.find(section => offset >= section.start && offset < section.start + section.text.length + 1) ?? null;
+
+// PDF extraction tags every page with a "[Page N]" line; cite the last one before the match
+const findPage = (content, section, offset) => {
+  const markers = Array.from(content.slice(section?.start ?? 0, offset).matchAll(PAGE_MARKER));
+  return markers.length ? Number(markers[markers.length - 1][1]) : null;
+};
+
+const buildSource = (content, sections, start, end) => {
+  // Quote the whole line(s) around the match so reviewers see it in context
+  const quoteStart = content.lastIndexOf("\n", start - 1) + 1;
+  const lineEnd = content.indexOf("\n", end);
+  const quoteEnd = lineEnd === -1 ? content.length : lineEnd;
+
+  const section = findSection(sections, start);
+
+  return {
+    document: section?.name ?? null,
+    page: findPage(content, section, start),
+    quote: content.slice(quoteStart, quoteEnd).trim(),
+    start: quoteStart,
+    end: quoteEnd
+  };
+};
+
+// Exact (case/whitespace-insensitive) match first; otherwise the line window that
+// contains every answer token, so "(555) 123-4567" still grounds on "555-123-4567".
+export const locateEvidence = (answer, content) => {
+  const text = String(content ?? "");
+  const value = String(answer ?? "").trim();
+  if (!value || !text) return { grounded: false, source: null };
+
+  const sections = parseDocumentSections(text);
+  const searchable = maskBoundaries(text);
+  const pattern = new RegExp(`${BEFORE_TOKEN}${value.split(/\s+/).map(escapeRegExp).join("\\s+")}${AFTER_TOKEN}`, "i");
+  const exact = pattern.exec(searchable);
+  if (exact) {
+    return {
+      grounded: true,
+      source: buildSource(text, sections, exact.index, exact.index + exact[0].length)
+    };
+  }
+
+  const answerTokens = Array.from(new Set(tokenize(value)));
+  if (!answerTokens.length) return { grounded: false, source: null };
+
+  const lines = splitLines(searchable);
+  const lineTokens = lines.map(line => new Set(tokenize(line.text)));
+  for (let index = 0; index < lines.length; index++) {
+    // A window opening on a blank or boundary line would only drag it into the quote
+    if (!lineTokens[index].size) continue;
+    const windowTokens = new Set();
+    for (let size = 1; size <= FUZZY_WINDOW_LINES && index + size <= lines.length; size++) {
+      lineTokens[index + size - 1].forEach(token => windowTokens.add(token));
+      if (answerTokens.every(token => windowTokens.has(token))) {
+        return {
+          grounded: true,
+          source: buildSource(text, sections, lines[index].start, lines[index + size - 1].end)
+        };
+      }
+    }
+  }
+
+  return { grounded: false, source: null };
+};
@@ -0,0 +1,228 @@
+import OpenAI from "openai";
+import { Ollama } from "ollama";
+
+// ---------------- Provider Configuration ----------------
+// Every role (extraction, verification) is resolved from the environment:
+//   <ROLE>_PROVIDER = ollama | openai-compatible | gemini | mock
+//   <ROLE>_MODEL    = model name understood by that provider
+const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta/openai/";
+const MOCK_NOT_FOUND = "Not found";
+
+const ROLE_DEFAULTS = {
+  extraction: { provider: "ollama", model: process.env.OLLAMA_MODEL || "llama3.1" },
+  verification: { provider: "gemini", model: "gemini-2.0-flash" }
+};
+
+// format is "json" for any JSON object, or a JSON schema the answer must follow
+const toResponseFormat = format => {
+  if (format === "json") return { type: "json_object" };
+  if (format && typeof format === "object") {
+    return { type: "json_schema", json_schema: { name: "answers", schema: format } };
+  }
+  return null;
+};
+
+const openAiChat = async (client, { model, messages, temperature, maxTokens, format }) => {
+  const responseFormat = toResponseFormat(format);
+  const resp = await client.chat.completions.create({
+    model,
+    temperature,
+    max_tokens: maxTokens,
+    messages,
+    ...(responseFormat ? { response_format: responseFormat } : {})
+  });
+  return resp.choices?.[0]?.message?.content?.trim() ?? "";
+};
+
+// ---------------- Host Classification ----------------
+// A self-hosted provider only counts as local when its host is loopback or on a private network;
+// anything else (including a URL that cannot be parsed) is treated as cloud so privacy rules apply.
+const PRIVATE_IPV4_PATTERNS = [
+  /^127\./,
+  /^10\./,
+  /^192\.168\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^169\.254\./,
+  /^0\.0\.0\.0$/
+];
+
+export const isLocalEndpoint = url => {
+  let hostname;
+  try {
+    const text = String(url ?? "").trim();
+    hostname = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `http://${text}`).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  if (hostname === "localhost" || hostname.endsWith(".localhost")) return true;
+  if (hostname.startsWith("[")) {
+    const address = hostname.slice(1, -1);
+    return address === "::1" || /^f[cd][0-9a-f]{2}:/.test(address) || /^fe[89ab][0-9a-f]:/.test(address);
+  }
+  return /^\d+\.\d+\.\d+\.\d+$/.test(hostname) && PRIVATE_IPV4_PATTERNS.some(pattern => pattern.test(hostname));
+};
+
+// ---------------- Adapters ----------------
+const createOllamaProvider = env => {
+  const host = env.OLLAMA_HOST || "http://127.0.0.1:11434";
+  const client = new Ollama({ host });
+
+  return {
+    name: "ollama",
+    cloud: !isLocalEndpoint(host),
+    chat: async ({ model, messages, temperature, maxTokens, format }) => {
+      const resp = await client.chat({
+        model,
+        messages,
+        keep_alive: "5m",
+        ...(format ? { format } : {}),
+        options: { temperature, num_predict: maxTokens }
+      });
+      return resp.message?.content?.trim() ?? "";
+    }
+  };
+};
+
+const createOpenAiCompatibleProvider = env => {
+  const baseURL = env.OPENAI_COMPAT_BASE_URL;
+  if (!baseURL) {
+    throw new Error("OPENAI_COMPAT_BASE_URL must be set to use the openai-compatible provider.");
+  }
+
+  // Local servers (llama.cpp, vLLM, LM Studio) usually accept any key
+  const client = new OpenAI({ apiKey: env.OPENAI_COMPAT_API_KEY || "not-needed", baseURL });
+
+  return {
+    name: "openai-compatible",
+    cloud: !isLocalEndpoint(baseURL),
+    chat: options => openAiChat(client, options)
+  };
+};
+
+const createGeminiProvider = env => {
+  if (!env.GEMINI_API_KEY) {
+    throw new Error("GEMINI_API_KEY must be set to use the gemini provider.");
+  }
+
+  const client = new OpenAI({ apiKey: env.GEMINI_API_KEY, baseURL: GEMINI_BASE_URL });
+
+  return {
+    name: "gemini",
+    cloud: true,
+    chat: options => openAiChat(client, options)
+  };
+};
+
+// ---------------- Mock Provider ----------------
+// Deterministic, offline stand-in: answers by matching question words against
+// "Label: value" lines in the documents, so /api/ask can be exercised without a model.
+const MOCK_STOPWORDS = new Set([
+  "the", "and", "for", "your", "you", "what", "with", "this", "that", "field",
+  "value", "question", "label", "type", "placeholder", "form", "context",
+  "extract", "only", "exact", "return", "answers", "specific", "aria", "page", "text"
+]);
+
+const tokenizeForMock = text =>
+  String(text ?? "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 2 && !MOCK_STOPWORDS.has(token));
+
+const mockLookup = (query, context) => {
+  const queryTokens = new Set(tokenizeForMock(query));
+  let best = { score: 0, value: "" };
+
+  context.split("\n").forEach(line => {
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+
+    const value = line.slice(separator + 1).trim();
+    if (!value) return;
+
+    const score = tokenizeForMock(line.slice(0, separator)).filter(token => queryTokens.has(token)).length;
+    if (score > best.score) best = { score, value };
+  });
+
+  return best.score ? best.value : MOCK_NOT_FOUND;
+};
+
+const createMockProvider = () => ({
+  name: "mock",
+  cloud: false,
+  chat: async ({ messages, format }) => {
+    const query = String(messages[messages.length - 1]?.content ?? "");
+    const context = messages
+      .slice(0, -1)
+      .filter(message => message.role !== "system")
+      .map(message => String(message.content ?? ""))
+      .join("\n");
+
+    if (format) {
+      const answers = {};
+      query.split(/\n\s*\n/).forEach(block => {
+        const match = block.match(/^\[([^\]]+)\]/);
+        if (match) answers[match[1]] = mockLookup(block, context);
+      });
+      return JSON.stringify(answers);
+    }
+
+    const verification = query.match(/CONTEXT:\n([\s\S]*)\n\nQUESTION:\n[\s\S]*\n\nANSWER:\n([\s\S]*)$/);
+    if (verification) {
+      const [, verifyContext, answer] = verification;
+      return verifyContext.toLowerCase().includes(answer.trim().toLowerCase()) ? "CORRECT" : "INCORRECT";
+    }
+
+    return mockLookup(query, context);
+  }
+});
+
+// ---------------- Registry ----------------
+const PROVIDER_FACTORIES = new Map([
+  ["ollama", createOllamaProvider],
+  ["openai-compatible", createOpenAiCompatibleProvider],
+  ["gemini", createGeminiProvider],
+  ["mock", createMockProvider]
+]);
+
+const providerCache = new Map();
+
+export const registerProvider = (name, factory) => {
+  PROVIDER_FACTORIES.set(name, factory);
+  providerCache.delete(name);
+};
+
+export const getProvider = (name, env = process.env) => {
+  if (providerCache.has(name)) return providerCache.get(name);
+
+  const factory = PROVIDER_FACTORIES.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Available: ${Array.from(PROVIDER_FACTORIES.keys()).join(", ")}.`
+    );
+  }
+
+  const provider = factory(env);
+  providerCache.set(name, provider);
+  return provider;
+};
+
+export const resolveRoleConfig = (role, env = process.env) => {
+  const defaults = ROLE_DEFAULTS[role];
+  if (!defaults) throw new Error(`Unknown LLM role "${role}".`);
+
+  const prefix = role.toUpperCase();
+  const providerName = (env[`${prefix}_PROVIDER`] || defaults.provider).trim().toLowerCase();
+  const explicitModel = env[`${prefix}_MODEL`]?.trim();
+  // The default model only makes sense for the default provider
+  const model = explicitModel || (providerName === defaults.provider ? defaults.model : "");
+
+  return { providerName, model };
+};
+
+export const resolveRole = (role, env = process.env) => {
+  const { providerName, model } = resolveRoleConfig(role, env);
+  return { provider: getProvider(providerName, env), model };
+};
+
+export const LLM_ROLES = Object.keys(ROLE_DEFAULTS);
@@ -0,0 +1,193 @@
+// ---------------- Retrieval Settings ----------------
+const CHUNK_CHARS = 900;
+const CHUNK_OVERLAP_CHARS = 150;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const SECTION_HEADER = /^=== (.+?) ===$/;
+const SECTION_FOOTER = /^=== END (.+?) ===$/;
+const HARNESS_HEADER = /^### (Document \d+)$/;
+const HARNESS_SEPARATOR = /^---$/;
+
+// True for the header, footer and separator lines that wrap each document, which are not document text
+export const isDocumentBoundary = line => {
+  const trimmed = String(line ?? "").trim();
+  return [SECTION_HEADER, SECTION_FOOTER, HARNESS_HEADER, HARNESS_SEPARATOR].some(pattern => pattern.test(trimmed));
+};
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "do", "does", "for", "from",
+  "has", "have", "in", "is", "it", "its", "of", "on", "or", "that", "the", "this",
+  "to", "was", "were", "what", "when", "where", "which", "who", "with", "you",
+  "your", "value", "field", "question", "label", "placeholder", "type", "name",
+  "extract", "only", "exact", "return", "answer", "answers", "specific", "context"
+]);
+
+const tokenize = text =>
+  String(text ?? "")
+    .toLowerCase()
+    .split(/[^a-z0-9.@]+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ""))
+    .filter(token => token && !STOPWORDS.has(token));
+
+// ---------------- Document Sections ----------------
+// Splits a context bundle back into the named documents it was built from.
+// Understands the extension's "=== NAME ===" blocks and the ASSURE harness's
+// "### Document N" blocks; anything else is treated as a single document.
+export const parseDocumentSections = content => {
+  const sections = [];
+  let current = null;
+  let offset = 0;
+
+  const open = (name, start) => {
+    current = { name, start, lines: [] };
+    sections.push(current);
+  };
+
+  String(content ?? "")
+    .split("\n")
+    .forEach(line => {
+      const lineStart = offset;
+      offset += line.length + 1;
+      const trimmed = line.trim();
+
+      if (SECTION_FOOTER.test(trimmed) || HARNESS_SEPARATOR.test(trimmed)) {
+        current = null;
+        return;
+      }
+
+      const header = trimmed.match(SECTION_HEADER) || trimmed.match(HARNESS_HEADER);
+      if (header) {
+        open(header[1], offset);
+        return;
+      }
+
+      if (!current) {
+        if (!trimmed) return;
+        open("DOCUMENT", lineStart);
+      }
+
+      current.lines.push(line);
+    });
+
+  return sections
+    .map(({ name, start, lines }) => ({ name, start, text: lines.join("\n") }))
+    .filter(section => section.text.trim());
+};
+
+// ---------------- Chunking ----------------
+const splitLongLine = line => {
+  if (line.length <= CHUNK_CHARS) return [line];
+
+  const pieces = [];
+  let piece = "";
+  line.split(/(\s+)/).forEach(word => {
+    if (piece.length + word.length > CHUNK_CHARS && piece.trim()) {
+      pieces.push(piece);
+      piece = "";
+    }
+    piece += word;
+  });
+  if (piece.trim()) pieces.push(piece);
+  return pieces;
+};
+
+const chunkSection = section => {
+  const chunks = [];
+  let lines = [];
+  let length = 0;
+
+  const flush = () => {
+    const text = lines.join("\n").trim();
+    if (text) chunks.push({ document: section.name, text });
+
+    // Carry trailing lines forward so facts split across a boundary stay together
+    const carried = [];
+    let carriedLength = 0;
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (carriedLength + lines[i].length > CHUNK_OVERLAP_CHARS) break;
+      carried.unshift(lines[i]);
+      carriedLength += lines[i].length + 1;
+    }
+    lines = carried;
+    length = carriedLength;
+  };
+
+  section.text.split("\n").flatMap(splitLongLine).forEach(line => {
+    if (length + line.length > CHUNK_CHARS && lines.length) {
+      flush();
+      if (length + line.length > CHUNK_CHARS) {
+        lines = [];
+        length = 0;
+      }
+    }
+    lines.push(line);
+    length += line.length + 1;
+  });
+  if (lines.join("").trim()) flush();
+
+  return chunks;
+};
+
+const chunkDocuments = content => parseDocumentSections(content).flatMap(chunkSection);
+
+// ---------------- BM25 Ranking ----------------
+const rankChunks = (chunks, query) => {
+  const queryTokens = Array.from(new Set(tokenize(query)));
+  const docs = chunks.map(chunk => {
+    const tokens = tokenize(chunk.text);
+    const frequencies = new Map();
+    tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+    return { chunk, length: tokens.length, frequencies };
+  });
+
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+
+  const idf = new Map(
+    queryTokens.map(token => {
+      const containing = docs.filter(doc => doc.frequencies.has(token)).length;
+      return [token, Math.log(1 + (docs.length - containing + 0.5) / (containing + 0.5))];
+    })
+  );
+
+  return docs
+    .map((doc, order) => {
+      const score = queryTokens.reduce((sum, token) => {
+        const tf = doc.frequencies.get(token) || 0;
+        if (!tf) return sum;
+        const norm = tf + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / averageLength);
+        return sum + (idf.get(token) * tf * (BM25_K1 + 1)) / norm;
+      }, 0);
+      return { ...doc.chunk, score, order };
+    })
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+};
+
+// ---------------- Context Assembly ----------------
+// Picks the best-scoring chunks that fit the budget and re-emits them grouped by
+// document, in reading order, using the same "=== NAME ===" framing as the extension.
+export const buildRetrievedContext = (content, query, budget) => {
+  const chunks = chunkDocuments(content);
+  const selected = [];
+  let used = 0;
+
+  for (const chunk of rankChunks(chunks, query)) {
+    if (used + chunk.text.length > budget) continue;
+    selected.push(chunk);
+    used += chunk.text.length;
+  }
+
+  const byDocument = new Map();
+  selected
+    .sort((a, b) => a.order - b.order)
+    .forEach(chunk => {
+      if (!byDocument.has(chunk.document)) byDocument.set(chunk.document, []);
+      byDocument.get(chunk.document).push(chunk.text);
+    });
+
+  const context = Array.from(byDocument, ([name, texts]) =>
+    `=== ${name} ===\n${texts.join("\n...\n")}\n=== END ${name} ===`
+  ).join("\n\n");
+
+  return { context, totalChunks: chunks.length, selectedChunks: selected.length };
+};
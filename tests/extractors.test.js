@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync } from "zlib";
+import { UnsupportedFormatError, detectFormat, extractDocument } from "../server/extractors.js";
+
+// Builds a zip archive in memory; CRCs are left at zero since the reader never checks them
+const buildZip = files => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = Buffer.from(name, "utf8");
+    const raw = Buffer.from(content, "utf8");
+    const data = deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const docx = buildZip({
+  "[Content_Types].xml": "<Types/>",
+  "word/document.xml":
+    "<w:document><w:body>" +
+    "<w:p><w:r><w:t>Jane Doe &amp; Co</w:t></w:r></w:p>" +
+    "<w:tbl><w:tr><w:tc><w:p><w:t>GPA</w:t></w:p></w:tc><w:tc><w:p><w:t>3.8</w:t></w:p></w:tc></w:tr></w:tbl>" +
+    "</w:body></w:document>"
+});
+
+const odt = buildZip({
+  mimetype: "application/vnd.oasis.opendocument.text",
+  "content.xml":
+    "<office:document-content><office:body><office:text>" +
+    "<text:h>Education</text:h>" +
+    "<text:p>Ohio<text:s/>University<text:tab/>2026</text:p>" +
+    "<text:p>Note<office:annotation><text:p>hidden comment</text:p></office:annotation></text:p>" +
+    "</office:text></office:body></office:document-content>"
+});
+
+test("detectFormat trusts magic bytes and tells zip containers apart", () => {
+  assert.equal(detectFormat(Buffer.from("%PDF-1.7"), "resume.docx"), "pdf");
+  assert.equal(detectFormat(docx, "resume.bin"), "docx");
+  assert.equal(detectFormat(odt, "resume.bin"), "odt");
+  assert.equal(detectFormat(Buffer.from("{\\rtf1 hi}"), "notes.txt"), "rtf");
+  assert.throws(() => detectFormat(buildZip({ "other.txt": "x" }), "a.zip"), UnsupportedFormatError);
+});
+
+test("detectFormat falls back to the extension, mimetype and content sniffing", () => {
+  assert.equal(detectFormat(Buffer.from("hello"), "notes.md"), "text");
+  assert.equal(detectFormat(Buffer.from("hello"), "upload", "text/html"), "html");
+  assert.equal(detectFormat(Buffer.from("  <!DOCTYPE html><p>x</p>"), "upload"), "html");
+  assert.equal(detectFormat(Buffer.from("<?xml version='1.0'?><a/>"), "upload"), "xml");
+  assert.equal(detectFormat(Buffer.from("plain"), "upload"), "text");
+});
+
+test("extractDocument reads DOCX paragraphs and table rows", async () => {
+  const { text, pages } = await extractDocument(docx, "docx");
+  assert.equal(text, "Jane Doe & Co\nGPA | 3.8");
+  assert.equal(pages, null);
+});
+
+test("extractDocument reads ODT headings, spaces and tabs and drops annotations", async () => {
+  const { text } = await extractDocument(odt, "odt");
+  assert.equal(text, "Education\nOhio University 2026\nNote");
+});
+
+test("extractDocument reads RTF text, escapes and unicode", async () => {
+  const rtf = "{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}\\f0 Caf\\'e9 \\u8212? done\\par Line two\\tab x\\par}";
+  const { text } = await extractDocument(Buffer.from(rtf, "latin1"), "rtf");
+  assert.equal(text, "Café — done\nLine two x");
+});
+
+test("extractDocument reads HTML blocks and drops scripts", async () => {
+  const html =
+    "<html><head><title>t</title></head><body><script>alert(1)</script>" +
+    "<h1>Resume</h1><p>Jane&nbsp;Doe</p><ul><li>Python</li><li>Go</li></ul>" +
+    "<table><tr><td>GPA</td><td>3.8</td></tr></table></body></html>";
+  const { text } = await extractDocument(Buffer.from(html), "html");
+  assert.equal(text, "Resume\n\nJane Doe\n\n- Python\n- Go\n\nGPA | 3.8");
+});
+
+test("truncated or corrupt zip containers are reported as unsupported", async () => {
+  assert.throws(() => detectFormat(docx.subarray(0, 40), "resume.docx"), UnsupportedFormatError);
+  assert.throws(() => detectFormat(docx.subarray(0, docx.length - 30), "resume.docx"), UnsupportedFormatError);
+
+  const directoryTruncated = Buffer.from(docx);
+  directoryTruncated.writeUInt32LE(docx.length - 30, docx.length - 6);
+  assert.throws(() => detectFormat(directoryTruncated, "resume.docx"), UnsupportedFormatError);
+
+  const garbled = Buffer.from(docx);
+  const dataStart = docx.indexOf("word/document.xml") + "word/document.xml".length;
+  garbled.fill(0xff, dataStart, dataStart + 8);
+  await assert.rejects(extractDocument(garbled, "docx"), UnsupportedFormatError);
+});
+
+test("extractDocument rejects legacy and unknown formats", async () => {
+  await assert.rejects(extractDocument(Buffer.from(""), "doc"), UnsupportedFormatError);
+  await assert.rejects(extractDocument(Buffer.from(""), "xls"), UnsupportedFormatError);
+});
@@ -0,0 +1,24 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import "../extension/shared.js";
+
+const { matchesAccept } = globalThis;
+const resume = { name: "Resume.PDF", type: "application/pdf" };
+
+test("matchesAccept takes any file when accept is empty", () => {
+  assert.equal(matchesAccept("", resume), true);
+  assert.equal(matchesAccept(undefined, resume), true);
+});
+
+test("matchesAccept checks extensions, MIME types and wildcards", () => {
+  assert.equal(matchesAccept(".doc, .pdf", resume), true);
+  assert.equal(matchesAccept("application/pdf", resume), true);
+  assert.equal(matchesAccept("application/*", resume), true);
+  assert.equal(matchesAccept(".docx,image/*", resume), false);
+  assert.equal(matchesAccept("image/*", { name: "scan.png", type: "image/png" }), true);
+});
+
+test("matchesAccept tolerates files without a type", () => {
+  assert.equal(matchesAccept(".txt", { name: "notes.txt" }), true);
+  assert.equal(matchesAccept("text/plain", { name: "notes.txt" }), false);
+});
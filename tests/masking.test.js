@@ -0,0 +1,31 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import "../extension/shared.js";
+import { maskSecrets as maskServerSecrets } from "../server/privacy.js";
+
+const { maskSecrets } = globalThis;
+
+const CASES = [
+  ["SSN 123-45-6789 on file", "SSN [REDACTED] on file"],
+  ["card 4111 1111 1111 1111.", "card [REDACTED]."],
+  ["card 4111-1111-1111-1111", "card [REDACTED]"],
+  ["account 0123456789012", "account [REDACTED]"],
+  ["IBAN GB29 NWBK 6016 1331 9268 19", "IBAN [REDACTED]"],
+  ["IBAN DE89370400440532013000", "IBAN [REDACTED]"],
+  ["Phone 555-123-4567", "Phone 555-123-4567"],
+  ["Zip 45701, GPA 3.85, class of 2026", "Zip 45701, GPA 3.85, class of 2026"],
+  ["Student ID 123456789", "Student ID 123456789"]
+];
+
+test("the server masks its logs with the extension's helper", () => {
+  assert.equal(maskServerSecrets, maskSecrets);
+});
+
+test("maskSecrets blanks IDs, IBANs and card numbers but keeps ordinary values", () => {
+  CASES.forEach(([input, expected]) => assert.equal(maskSecrets(input), expected, input));
+});
+
+test("maskSecrets tolerates missing values", () => {
+  assert.equal(maskSecrets(undefined), "");
+  assert.equal(maskSecrets(42), "42");
+});
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildAnswerSchema, findBestOption, hasOptions, matchOptions, optionText } from "../server/options.js";
+
+const degrees = [
+  { label: "High School Diploma", value: "hs" },
+  { label: "Bachelor of Science (BS)", value: "bs" },
+  { label: "Master of Science (MS)", value: "ms" }
+];
+
+test("optionText prefers the label and falls back to the value", () => {
+  assert.equal(optionText({ label: " Yes ", value: "y" }), "Yes");
+  assert.equal(optionText({ label: "", value: "y" }), "y");
+  assert.equal(optionText(null), "");
+});
+
+test("hasOptions only accepts a non-empty option list", () => {
+  assert.equal(hasOptions({ options: degrees }), true);
+  assert.equal(hasOptions({ options: [] }), false);
+  assert.equal(hasOptions({}), false);
+});
+
+test("findBestOption matches exact text, values, acronyms and shared tokens", () => {
+  assert.equal(findBestOption("master of science (ms)", degrees), degrees[2]);
+  assert.equal(findBestOption("bs", degrees), degrees[1]);
+  assert.equal(findBestOption("Bachelor's in Science", degrees), degrees[1]);
+  assert.deepEqual(findBestOption("USA", [{ label: "Canada" }, { label: "United States of America" }]), {
+    label: "United States of America"
+  });
+  assert.deepEqual(findBestOption("United States of America", [{ label: "Canada" }, { label: "USA" }]), { label: "USA" });
+});
+
+test("findBestOption returns null when nothing is close enough", () => {
+  assert.equal(findBestOption("Doctorate", degrees), null);
+  assert.equal(findBestOption("", degrees), null);
+});
+
+test("findBestOption returns null when two options fit about equally well", () => {
+  const bachelors = [{ label: "Bachelor of Arts (BA)" }, { label: "Bachelor of Science (BS)" }];
+  assert.equal(findBestOption("Bachelor's", bachelors), null);
+  assert.equal(findBestOption("Science", [{ label: "Computer Science" }, { label: "Data Science" }]), null);
+  assert.deepEqual(findBestOption("BS", bachelors), bachelors[1]);
+});
+
+test("matchOptions splits multi-select answers and drops duplicates and misses", () => {
+  const field = {
+    multiple: true,
+    options: [{ label: "Python" }, { label: "JavaScript" }, { label: "Go" }]
+  };
+  assert.deepEqual(matchOptions("python; javascript ;Python;Rust", field), ["Python", "JavaScript"]);
+  assert.deepEqual(matchOptions("Go; Python", { ...field, multiple: false }), []);
+});
+
+test("buildAnswerSchema restricts option fields to their labels", () => {
+  const schema = buildAnswerSchema(
+    [
+      { fieldId: "name" },
+      { fieldId: "degree", options: degrees },
+      { fieldId: "skills", multiple: true, options: [{ label: "Go" }, { label: "Go" }] }
+    ],
+    "NOT_FOUND"
+  );
+
+  assert.deepEqual(schema.required, ["name", "degree", "skills"]);
+  assert.deepEqual(schema.properties.name, { type: "string" });
+  assert.deepEqual(schema.properties.degree.enum, [...degrees.map(optionText), "NOT_FOUND"]);
+  assert.deepEqual(schema.properties.skills, { type: "array", items: { type: "string", enum: ["Go"] } });
+});
@@ -0,0 +1,19 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import "../extension/shared.js";
+
+const { namesAnotherPerson } = globalThis;
+
+test("namesAnotherPerson spots references, emergency contacts and managers", () => {
+  assert.equal(namesAnotherPerson("Reference email"), true);
+  assert.equal(namesAnotherPerson("Phone", "Emergency contact"), true);
+  assert.equal(namesAnotherPerson("", "reference 2 email"), true);
+  assert.equal(namesAnotherPerson("Supervisor's phone number"), true);
+  assert.equal(namesAnotherPerson("Parent/guardian email"), true);
+});
+
+test("namesAnotherPerson leaves the applicant's own fields alone", () => {
+  assert.equal(namesAnotherPerson("Email", "Contact information", "email"), false);
+  assert.equal(namesAnotherPerson("Preferred name"), false);
+  assert.equal(namesAnotherPerson(undefined, null, ""), false);
+});
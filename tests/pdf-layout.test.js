@@ -0,0 +1,22 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { extractPdfLayout } from "../server/pdf-layout.js";
+
+const resume = readFileSync(new URL("./McKee Resume Fall 25.pdf", import.meta.url));
+
+test("extractPdfLayout tags each page and keeps header fields on one line", async () => {
+  const { text, pages } = await extractPdfLayout(resume);
+
+  assert.ok(pages.length >= 1);
+  assert.deepEqual(
+    pages.map(page => page.page),
+    pages.map((page, index) => index + 1)
+  );
+  assert.ok(pages.every(page => page.ocr === false && page.confidence === null));
+
+  assert.match(text, /^\[Page 1\]\n/);
+  assert.match(text, /^## EDUCATION$/m);
+  assert.match(text, /^Ohio University \| Athens, OH \| Anticipated Graduation: May 2026$/m);
+  assert.match(text, /^Bachelor of Science in Computer Science \| GPA: 3\.5$/m);
+});
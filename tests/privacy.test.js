@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { redactMessages, restorePlaceholders } from "../server/privacy.js";
+
+test("redactMessages replaces personal details with numbered placeholders", () => {
+  const { messages, values, count } = redactMessages([
+    { role: "system", content: "Answer from the documents." },
+    {
+      role: "user",
+      content: [
+        "Email: jane.doe@example.com",
+        "Phone: (555) 123-4567",
+        "Date of birth: 04/12/2001",
+        "Student ID: A1234567",
+        "Address: 12 Elm Street, Athens, OH 45701"
+      ].join("\n")
+    }
+  ]);
+
+  assert.equal(count, 5);
+  assert.equal(messages[0].content, "Answer from the documents.");
+  assert.equal(
+    messages[1].content,
+    ["Email: [EMAIL_1]", "Phone: [PHONE_1]", "Date of birth: [DOB_1]", "Student ID: [STUDENT_ID_1]", "Address: [ADDRESS_1]"].join("\n")
+  );
+  assert.equal(values.get("[EMAIL_1]"), "jane.doe@example.com");
+  assert.equal(values.get("[ADDRESS_1]"), "12 Elm Street, Athens, OH 45701");
+});
+
+test("redactMessages reuses one placeholder per value across messages", () => {
+  const { messages, count } = redactMessages([
+    { role: "user", content: "a@b.co and c@d.co" },
+    { role: "user", content: "again a@b.co" }
+  ]);
+  assert.equal(count, 2);
+  assert.equal(messages[0].content, "[EMAIL_1] and [EMAIL_2]");
+  assert.equal(messages[1].content, "again [EMAIL_1]");
+});
+
+test("redactMessages leaves unlabelled dates and word-only IDs alone", () => {
+  const { messages, count } = redactMessages([
+    { role: "user", content: "Graduation: 05/15/2026\nStudent ID number: required" }
+  ]);
+  assert.equal(count, 0);
+  assert.equal(messages[0].content, "Graduation: 05/15/2026\nStudent ID number: required");
+});
+
+test("restorePlaceholders puts the real values back and keeps unknown ones", () => {
+  const values = new Map([["[EMAIL_1]", "jane@example.com"]]);
+  assert.equal(restorePlaceholders("Contact [EMAIL_1] or [PHONE_9]", values), "Contact jane@example.com or [PHONE_9]");
+  assert.equal(restorePlaceholders(undefined, values), "");
+});
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { locateEvidence } from "../server/provenance.js";
+
+const content = [
+  "=== RESUME.PDF ===",
+  "[Page 1]",
+  "Jane Doe",
+  "Phone: 555-123-4567",
+  "[Page 2]",
+  "Bachelor of Science in Computer Science",
+  "=== END RESUME.PDF ==="
+].join("\n");
+
+test("locateEvidence quotes the line and page of an exact match", () => {
+  const { grounded, source } = locateEvidence("bachelor of  science", content);
+  assert.equal(grounded, true);
+  assert.equal(source.document, "RESUME.PDF");
+  assert.equal(source.page, 2);
+  assert.equal(source.quote, "Bachelor of Science in Computer Science");
+  assert.equal(content.slice(source.start, source.end), source.quote);
+});
+
+test("locateEvidence falls back to a token match for reformatted values", () => {
+  const { grounded, source } = locateEvidence("(555) 123-4567", content);
+  assert.equal(grounded, true);
+  assert.equal(source.page, 1);
+  assert.match(source.quote, /Phone: 555-123-4567$/);
+});
+
+test("locateEvidence matches tokens split across neighbouring lines", () => {
+  const { grounded, source } = locateEvidence("Jane 4567", content);
+  assert.equal(grounded, true);
+  assert.equal(source.quote, "Jane Doe\nPhone: 555-123-4567");
+});
+
+test("locateEvidence reports values missing from the documents as ungrounded", () => {
+  assert.deepEqual(locateEvidence("Master of Arts", content), { grounded: false, source: null });
+  assert.deepEqual(locateEvidence("", content), { grounded: false, source: null });
+  assert.deepEqual(locateEvidence("Jane", ""), { grounded: false, source: null });
+});
+
+test("locateEvidence does not ground values found inside longer numbers or words", () => {
+  const transcript = "=== TRANSCRIPT ===\nJane Doe\nGPA 3.45\nID 12345\n=== END TRANSCRIPT ===";
+  assert.equal(locateEvidence("3.4", transcript).grounded, false);
+  assert.equal(locateEvidence("45", transcript).grounded, false);
+  assert.equal(locateEvidence("1234", transcript).grounded, false);
+  assert.equal(locateEvidence("Jan", transcript).grounded, false);
+  assert.equal(locateEvidence("3.45", transcript).source.quote, "GPA 3.45");
+});
+
+test("locateEvidence never quotes document headers or footers", () => {
+  assert.deepEqual(locateEvidence("resume", content), { grounded: false, source: null });
+  assert.deepEqual(locateEvidence("end resume.pdf", content), { grounded: false, source: null });
+  assert.equal(locateEvidence("Computer Science", content).source.document, "RESUME.PDF");
+});
@@ -0,0 +1,25 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getProvider, isLocalEndpoint } from "../server/providers.js";
+
+test("isLocalEndpoint accepts loopback and private-network hosts", () => {
+  assert.equal(isLocalEndpoint("http://127.0.0.1:11434"), true);
+  assert.equal(isLocalEndpoint("localhost:8080"), true);
+  assert.equal(isLocalEndpoint("http://[::1]:8080/v1"), true);
+  assert.equal(isLocalEndpoint("http://192.168.1.20:11434"), true);
+  assert.equal(isLocalEndpoint("http://10.0.0.5/v1"), true);
+  assert.equal(isLocalEndpoint("http://172.20.1.1:8000/v1"), true);
+});
+
+test("isLocalEndpoint treats public and unparseable hosts as cloud", () => {
+  assert.equal(isLocalEndpoint("https://api.openai.com/v1"), false);
+  assert.equal(isLocalEndpoint("http://10.example.com"), false);
+  assert.equal(isLocalEndpoint("http://172.32.0.1"), false);
+  assert.equal(isLocalEndpoint("http://8.8.8.8:11434"), false);
+  assert.equal(isLocalEndpoint("http://["), false);
+});
+
+test("self-hosted providers are marked cloud when they point at a remote host", () => {
+  assert.equal(getProvider("ollama", { OLLAMA_HOST: "http://127.0.0.1:11434" }).cloud, false);
+  assert.equal(getProvider("openai-compatible", { OPENAI_COMPAT_BASE_URL: "https://api.openai.com/v1" }).cloud, true);
+});
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildRetrievedContext, parseDocumentSections } from "../server/retrieval.js";
+
+const bundle = [
+  "=== RESUME ===",
+  "Jane Doe",
+  "jane@example.com",
+  "=== END RESUME ===",
+  "",
+  "=== TRANSCRIPT ===",
+  "Cumulative GPA: 3.72",
+  "=== END TRANSCRIPT ==="
+].join("\n");
+
+test("parseDocumentSections splits the extension's named blocks", () => {
+  const sections = parseDocumentSections(bundle);
+  assert.deepEqual(
+    sections.map(section => section.name),
+    ["RESUME", "TRANSCRIPT"]
+  );
+  assert.equal(sections[0].text, "Jane Doe\njane@example.com");
+  assert.equal(bundle.slice(sections[1].start, sections[1].start + sections[1].text.length), sections[1].text);
+});
+
+test("parseDocumentSections understands the harness blocks and bare text", () => {
+  const harness = parseDocumentSections("### Document 1\nfirst\n---\n### Document 2\nsecond");
+  assert.deepEqual(
+    harness.map(({ name, text }) => [name, text]),
+    [
+      ["Document 1", "first"],
+      ["Document 2", "second"]
+    ]
+  );
+
+  assert.deepEqual(
+    parseDocumentSections("just some text").map(section => section.name),
+    ["DOCUMENT"]
+  );
+});
+
+test("buildRetrievedContext ranks the chunk that answers the query first", () => {
+  const filler = Array.from({ length: 40 }, (_, index) => `Unrelated coursework line number ${index}.`).join("\n");
+  const content = `=== RESUME ===\n${filler}\nCertification: AWS Solutions Architect\n${filler}\n=== END RESUME ===`;
+
+  const { context, totalChunks, selectedChunks } = buildRetrievedContext(content, "certification", 900);
+
+  assert.ok(totalChunks > 1);
+  assert.equal(selectedChunks, 1);
+  assert.match(context, /^=== RESUME ===\n/);
+  assert.match(context, /AWS Solutions Architect/);
+  assert.match(context, /=== END RESUME ===$/);
+});
+
+test("buildRetrievedContext keeps every chunk when the budget allows", () => {
+  const { context, totalChunks, selectedChunks } = buildRetrievedContext(bundle, "gpa", 10000);
+  assert.equal(selectedChunks, totalChunks);
+  assert.match(context, /=== RESUME ===[\s\S]*=== TRANSCRIPT ===/);
+});